@@ -0,0 +1,212 @@
+function parseBencodeStringBounds(fileBuffer, start) {
+  let cursor = start;
+  let length = 0;
+
+  while (cursor < fileBuffer.length && fileBuffer[cursor] !== 0x3a) {
+    const byte = fileBuffer[cursor];
+    if (byte < 0x30 || byte > 0x39) {
+      throw new Error(`유효하지 않은 bencode 문자열 길이 (index: ${cursor})`);
+    }
+    length = length * 10 + (byte - 0x30);
+    cursor += 1;
+  }
+
+  if (cursor >= fileBuffer.length) {
+    throw new Error("bencode 문자열 구분자(:)를 찾지 못했습니다.");
+  }
+
+  cursor += 1;
+  const end = cursor + length;
+  if (end > fileBuffer.length) {
+    throw new Error("bencode 문자열 길이가 버퍼 범위를 초과합니다.");
+  }
+
+  return {
+    valueStart: cursor,
+    valueEnd: end,
+    next: end,
+  };
+}
+
+function skipBencodeValue(fileBuffer, start) {
+  if (start >= fileBuffer.length) {
+    throw new Error("bencode value 시작 위치가 잘못되었습니다.");
+  }
+
+  const token = fileBuffer[start];
+
+  if (token === 0x69) {
+    let cursor = start + 1;
+    if (cursor >= fileBuffer.length) {
+      throw new Error("정수 bencode가 비어 있습니다.");
+    }
+
+    if (fileBuffer[cursor] === 0x2d) {
+      cursor += 1;
+    }
+
+    let hasDigit = false;
+    while (cursor < fileBuffer.length && fileBuffer[cursor] !== 0x65) {
+      const byte = fileBuffer[cursor];
+      if (byte < 0x30 || byte > 0x39) {
+        throw new Error(`유효하지 않은 정수 bencode (index: ${cursor})`);
+      }
+      hasDigit = true;
+      cursor += 1;
+    }
+
+    if (!hasDigit || cursor >= fileBuffer.length) {
+      throw new Error("정수 bencode 종료(e)를 찾지 못했습니다.");
+    }
+
+    return cursor + 1;
+  }
+
+  if (token === 0x6c) {
+    let cursor = start + 1;
+    while (cursor < fileBuffer.length && fileBuffer[cursor] !== 0x65) {
+      cursor = skipBencodeValue(fileBuffer, cursor);
+    }
+    if (cursor >= fileBuffer.length) {
+      throw new Error("리스트 bencode 종료(e)를 찾지 못했습니다.");
+    }
+    return cursor + 1;
+  }
+
+  if (token === 0x64) {
+    let cursor = start + 1;
+    while (cursor < fileBuffer.length && fileBuffer[cursor] !== 0x65) {
+      const keyBounds = parseBencodeStringBounds(fileBuffer, cursor);
+      cursor = keyBounds.next;
+      cursor = skipBencodeValue(fileBuffer, cursor);
+    }
+    if (cursor >= fileBuffer.length) {
+      throw new Error("딕셔너리 bencode 종료(e)를 찾지 못했습니다.");
+    }
+    return cursor + 1;
+  }
+
+  if (token >= 0x30 && token <= 0x39) {
+    return parseBencodeStringBounds(fileBuffer, start).next;
+  }
+
+  throw new Error(`알 수 없는 bencode 토큰: ${String.fromCharCode(token)} (index: ${start})`);
+}
+
+function findTorrentInfoSection(fileBuffer) {
+  if (!Buffer.isBuffer(fileBuffer) || fileBuffer.length === 0) {
+    return null;
+  }
+
+  let cursor = 0;
+  if (fileBuffer[cursor] !== 0x64) {
+    throw new Error("torrent 루트가 딕셔너리 형식이 아닙니다.");
+  }
+  cursor += 1;
+
+  while (cursor < fileBuffer.length && fileBuffer[cursor] !== 0x65) {
+    const keyBounds = parseBencodeStringBounds(fileBuffer, cursor);
+    const key = fileBuffer.slice(keyBounds.valueStart, keyBounds.valueEnd).toString("utf8");
+    cursor = keyBounds.next;
+
+    const valueStart = cursor;
+    const valueEnd = skipBencodeValue(fileBuffer, valueStart);
+    if (key === "info") {
+      return fileBuffer.slice(valueStart, valueEnd);
+    }
+
+    cursor = valueEnd;
+  }
+
+  return null;
+}
+
+function decodeBencodeValue(fileBuffer, start) {
+  if (start >= fileBuffer.length) {
+    throw new Error("bencode value 시작 위치가 잘못되었습니다.");
+  }
+
+  const token = fileBuffer[start];
+
+  if (token === 0x69) {
+    const end = fileBuffer.indexOf(0x65, start + 1);
+    if (end === -1) {
+      throw new Error("정수 bencode 종료(e)를 찾지 못했습니다.");
+    }
+
+    const raw = fileBuffer.slice(start + 1, end).toString("ascii");
+    if (!/^[-]?\d+$/.test(raw)) {
+      throw new Error(`유효하지 않은 정수 bencode 값: ${raw}`);
+    }
+
+    return {
+      value: Number(raw),
+      next: end + 1,
+    };
+  }
+
+  if (token === 0x6c) {
+    const list = [];
+    let cursor = start + 1;
+    while (cursor < fileBuffer.length && fileBuffer[cursor] !== 0x65) {
+      const item = decodeBencodeValue(fileBuffer, cursor);
+      list.push(item.value);
+      cursor = item.next;
+    }
+    if (cursor >= fileBuffer.length) {
+      throw new Error("리스트 bencode 종료(e)를 찾지 못했습니다.");
+    }
+    return {
+      value: list,
+      next: cursor + 1,
+    };
+  }
+
+  if (token === 0x64) {
+    const dict = {};
+    let cursor = start + 1;
+    while (cursor < fileBuffer.length && fileBuffer[cursor] !== 0x65) {
+      const keyBounds = parseBencodeStringBounds(fileBuffer, cursor);
+      const key = fileBuffer.slice(keyBounds.valueStart, keyBounds.valueEnd).toString("utf8");
+      cursor = keyBounds.next;
+      const item = decodeBencodeValue(fileBuffer, cursor);
+      dict[key] = item.value;
+      cursor = item.next;
+    }
+    if (cursor >= fileBuffer.length) {
+      throw new Error("딕셔너리 bencode 종료(e)를 찾지 못했습니다.");
+    }
+    return {
+      value: dict,
+      next: cursor + 1,
+    };
+  }
+
+  if (token >= 0x30 && token <= 0x39) {
+    const bounds = parseBencodeStringBounds(fileBuffer, start);
+    return {
+      value: fileBuffer.slice(bounds.valueStart, bounds.valueEnd),
+      next: bounds.next,
+    };
+  }
+
+  throw new Error(`알 수 없는 bencode 토큰: ${String.fromCharCode(token)} (index: ${start})`);
+}
+
+function toUtf8String(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString("utf8");
+  }
+  if (typeof value === "string") {
+    return value;
+  }
+  return "";
+}
+
+module.exports = {
+  parseBencodeStringBounds,
+  skipBencodeValue,
+  findTorrentInfoSection,
+  decodeBencodeValue,
+  toUtf8String,
+};
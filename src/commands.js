@@ -0,0 +1,1901 @@
+const crypto = require("crypto");
+const path = require("path");
+const axios = require("axios");
+const { Markup } = require("telegraf");
+const {
+  normalizeDestination,
+  toNumber,
+  formatBytes,
+  formatSpeed,
+  formatPercent,
+  formatDuration,
+  shortenText,
+  isMessageNotModifiedError,
+} = require("./util");
+const { BOT_ROLE_LABELS, resolveRole, hasRole } = require("./roles");
+const {
+  extractMagnets,
+  extractDownloadLinks,
+  filenameFromUrl,
+  probeLinkKind,
+  fetchTorrentFromUrl,
+} = require("./links");
+const { fetchFeed, parseFeedOptions, feedItemMatches } = require("./feed");
+const { extractTorrentMetadata, parseMagnetUri, formatSubmissionPreview } = require("./torrent");
+const {
+  parseTaskSelectors,
+  taskStatusLabel,
+  taskSortTime,
+  taskSize,
+  taskDownloaded,
+  taskDownloadSpeed,
+  taskUploadSpeed,
+  taskDestination,
+  isCompletedTask,
+  ACTIVE_STATUSES,
+  TASK_LIST_FILTERS,
+  TASK_LIST_FILTER_ALIASES,
+  formatTaskLine,
+  formatTaskDetail,
+} = require("./tasks");
+const { formatSeedingRule, matchCategoryRule } = require("./policies");
+const { parseSpeedLimit, formatSpeedLimit, activeScheduleEntryIndex, formatScheduleEntry } = require("./speed-limit");
+const {
+  RUNTIME_SETTINGS,
+  SETTING_INTERVAL_CHOICES_SEC,
+  MIN_SETTING_INTERVAL_SEC,
+  formatSettingValue,
+} = require("./settings");
+const { isTransientNasError } = require("./synology");
+
+// Telegram commands, callback buttons and message handlers.
+function registerCommands(app) {
+  const {
+    bot,
+    synology,
+    targets,
+    multiTarget,
+    findTarget,
+    getTarget,
+    targetTag,
+    chatTarget,
+    setChatTarget,
+    stateStore,
+    settings,
+    settingDefaults,
+    notifyAdmins,
+    notifyTaskRemoved,
+    resolveOtpCode,
+    watchTaskProgress,
+    setChatDestination,
+    resolveDestination,
+    formatDestinationLabel,
+    findDuplicateSubmission,
+    supportsFileSelection,
+    submitPendingSubmission,
+    removeFinishedTasksNow,
+    readSpeedLimits,
+    applySpeedLimits,
+    applySetting,
+    getRetryQueue,
+    enqueueRetry,
+    removeRetryItem,
+    formatRetryQueued,
+    runRetryQueue,
+    RSS_SUBSCRIPTIONS_KEY,
+    RSS_SEEN_LIMIT,
+    getRssSubscriptions,
+    updateRssSubscription,
+    chatRssSubscriptions,
+    rssSubscriptionTarget,
+    checkRssSubscription,
+  } = app;
+  const {
+    roleConfig,
+    watchImportWaitSec,
+    seedingPolicy,
+    cleanupRules,
+    taskNotify,
+    taskNotifyIntervalSec,
+    destinationPresets,
+    categoryRules,
+    retryQueueEnabled,
+    inboxDir,
+    inboxPollIntervalSec,
+    rssDefaultIntervalMin,
+    searchResultLimit,
+    searchTimeoutSec,
+    speedLimitSchedule,
+  } = app.config;
+
+  function formatTargetName(target) {
+    return target.label === target.name ? target.name : `${target.label} (${target.name})`;
+  }
+
+  const buildUsage = () => [
+    "아래 방식으로 보내면 NAS Download Station에 등록됩니다.",
+    "1) 마그넷 링크를 텍스트로 전송",
+    "2) .torrent 파일을 첨부로 전송",
+    "3) HTTP/HTTPS/FTP/ed2k 링크 전송 (.torrent 링크는 받아서 미리보기, 그 외는 바로 등록)",
+    "보낸 항목은 미리보기 후 [추가] 버튼을 눌러야 등록됩니다.",
+    "",
+    "명령어:",
+    "/id - 현재 채팅 ID 확인",
+    ...(multiTarget ? ["/nas [이름] - 이 채팅에서 쓸 NAS 확인/변경 (미리보기에서 항목별로 바꿀 수도 있음)"] : []),
+    `/stat${multiTarget ? " [NAS|@all]" : ""} - Download Station 상태 요약`,
+    `/task [downloading|paused|error|seeding|all]${
+      multiTarget ? " [NAS|@all]" : ""
+    } - 다운로드 진행 상황 (버튼으로 상세/정지/삭제)`,
+    "/clean [dry] - 완료/시딩 항목 정리 (dry: 삭제 없이 미리보기)",
+    "/search <검색어> - Download Station BT 검색 후 [추가] 버튼으로 등록",
+    "/rss [add <URL> [include=정규식] [exclude=정규식] [interval=분]|list|rm <번호>|check] - RSS/Atom 자동 등록",
+    "/queue [cancel <번호>|retry] - NAS 연결 실패로 대기 중인 등록 확인",
+    "/limit [<다운> <업>|off] - 속도 제한 확인/변경 (예: /limit 2MB 500K)",
+    "/settings - 자동 시딩 중지/자동 정리/워치 폴더 strict 설정 변경",
+    "/dest [경로|reset] - 이 채팅의 기본 저장 위치 (인자 없이 보내면 폴더 탐색)",
+    "/pause <번호|ID|all> - 작업 일시정지",
+    "/resume <번호|ID|all> - 작업 재개",
+    "/delete <번호|ID|all> - 작업 삭제 (확인 버튼)",
+    "/help - 사용법 보기",
+    "",
+    "권한: 조회 = /stat, /task / 등록 = 조회 + 다운로드 추가 / 관리 = 등록 + 정지·재개·삭제·정리·설정",
+    ...(multiTarget ? [`NAS: ${targets.map(formatTargetName).join(", ")}`] : []),
+    `워치 폴더 fallback: ${targets
+      .map((target) => {
+        const watchDir = target.synology.torrentWatchDir;
+        return `${targetTag(target)}${watchDir ? `ON (${watchDir})` : "OFF"}`;
+      })
+      .join(", ")}`,
+    `워치 폴더 반영 확인 대기: ${watchImportWaitSec}초`,
+    `워치 폴더 strict: ${settings.watchImportStrict ? "ON" : "OFF"}`,
+    `자동 시딩 중지: ${settings.autoStopSeeding ? "ON" : "OFF"} (주기 ${settings.autoStopSeedingIntervalSec}초)`,
+    `시딩 정책: 기본 ${formatSeedingRule(seedingPolicy.default)}, 트래커별 규칙 ${seedingPolicy.trackers.length}개`,
+    `자동 분류 규칙: ${categoryRules.length}개`,
+    `정리 규칙: 보관 ${cleanupRules.keepHours}시간 / 최근 ${cleanupRules.keepLatest}건 / 보호 폴더 ${
+      cleanupRules.protectedDirs.length
+    }개 / 오류 ${cleanupRules.errorAfterDays > 0 ? `${cleanupRules.errorAfterDays}일 후 삭제` : "삭제 안 함"}`,
+    `완료 항목 자동 정리: ${settings.autoRemoveFinished ? "ON" : "OFF"} (주기 ${
+      settings.autoRemoveFinishedIntervalSec
+    }초)`,
+    `완료/오류 알림: ${taskNotify ? "ON" : "OFF"} (주기 ${taskNotifyIntervalSec}초)`,
+    `인박스 폴더: ${inboxDir ? `ON (${inboxDir}, 주기 ${inboxPollIntervalSec}초)` : "OFF"}`,
+    `속도 제한 일정: ${speedLimitSchedule.length > 0 ? speedLimitSchedule.map(formatScheduleEntry).join(", ") : "없음"}`,
+  ].join("\n");
+
+  function roleOf(ctx) {
+    return resolveRole(roleConfig, ctx.chat?.id, ctx.from?.id);
+  }
+
+  async function rejectUnauthorized(ctx, text) {
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery(text, { show_alert: true }).catch(() => {});
+      return;
+    }
+    await ctx.reply(text);
+  }
+
+  async function ensureAuthorized(ctx, required = "viewer") {
+    const role = roleOf(ctx);
+    if (!role) {
+      await rejectUnauthorized(
+        ctx,
+        "허용되지 않은 채팅입니다. /id로 채팅/사용자 ID를 확인해서 BOT_ADMIN_IDS, BOT_SUBMITTER_IDS, BOT_VIEWER_IDS 중 하나에 추가하세요.",
+      );
+      return false;
+    }
+    if (!hasRole(role, required)) {
+      await rejectUnauthorized(
+        ctx,
+        `${BOT_ROLE_LABELS[required]} 권한이 필요합니다. (현재 권한: ${BOT_ROLE_LABELS[role]})`,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  function settingsView(notice = "") {
+    const lines = ["봇 설정 (변경 즉시 적용, 재시작 후에도 유지)"];
+    const rows = [];
+    for (const setting of RUNTIME_SETTINGS) {
+      const value = settings[setting.key];
+      const changed = value !== settingDefaults[setting.key];
+      lines.push(
+        `- ${setting.label}: ${formatSettingValue(setting, value)}${
+          changed ? ` (기본값 ${formatSettingValue(setting, settingDefaults[setting.key])})` : ""
+        }`,
+      );
+      rows.push([
+        Markup.button.callback(
+          `${setting.label}: ${formatSettingValue(setting, value)}${setting.type === "interval" ? " ▸" : ""}`,
+          `set:${setting.type === "boolean" ? "t" : "i"}:${setting.code}`,
+        ),
+      ]);
+    }
+    if (notice) lines.push("", notice);
+    rows.push([Markup.button.callback("기본값으로 되돌리기", "set:r"), Markup.button.callback("닫기", "set:x")]);
+    return { text: lines.join("\n"), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  function intervalChoiceView(setting) {
+    const current = settings[setting.key];
+    const choices = [...new Set([...SETTING_INTERVAL_CHOICES_SEC, settingDefaults[setting.key]])].sort((a, b) => a - b);
+    const buttons = choices.map((sec) =>
+      Markup.button.callback(`${sec === current ? "✅ " : ""}${formatDuration(sec)}`, `set:v:${setting.code}:${sec}`),
+    );
+    const rows = [];
+    for (let index = 0; index < buttons.length; index += 4) {
+      rows.push(buttons.slice(index, index + 4));
+    }
+    rows.push([Markup.button.callback("← 뒤로", "set:b")]);
+    return {
+      text: `${setting.label} 선택 (현재 ${formatDuration(current)}, 기본값 ${formatDuration(settingDefaults[setting.key])})`,
+      keyboard: Markup.inlineKeyboard(rows),
+    };
+  }
+
+  const PENDING_SUBMISSION_TTL_MS = 30 * 60 * 1000;
+
+  const pendingSubmissions = new Map();
+
+  function prunePendingSubmissions() {
+    const now = Date.now();
+    for (const [token, pending] of pendingSubmissions) {
+      if (now - pending.createdAt > PENDING_SUBMISSION_TTL_MS) {
+        pendingSubmissions.delete(token);
+      }
+    }
+  }
+
+  function createPendingSubmission(chatId, submission) {
+    prunePendingSubmissions();
+    const token = crypto.randomBytes(6).toString("hex");
+    pendingSubmissions.set(token, {
+      target: chatTarget(chatId).name,
+      ...submission,
+      category: matchCategoryRule(categoryRules, submission.metadata),
+      token,
+      chatId: String(chatId),
+      createdAt: Date.now(),
+    });
+    return pendingSubmissions.get(token);
+  }
+
+  function getPendingSubmission(ctx, token) {
+    prunePendingSubmissions();
+    const pending = pendingSubmissions.get(token);
+    if (!pending || pending.chatId !== String(ctx.chat.id)) {
+      return null;
+    }
+    return pending;
+  }
+
+  function submissionPreview(pending) {
+    const preview = formatSubmissionPreview(pending);
+    return multiTarget ? `${preview}\n- NAS: ${getTarget(pending.target).label}` : preview;
+  }
+
+  async function previewKeyboard(pending) {
+    const row = [
+      Markup.button.callback("추가", `sub:add:${pending.token}`),
+      Markup.button.callback("폴더 선택…", `sub:dest:${pending.token}`),
+      Markup.button.callback("취소", `sub:cancel:${pending.token}`),
+    ];
+
+    const rows = [row];
+    if (
+      pending.kind === "torrent" &&
+      (pending.metadata.files || []).length > 1 &&
+      (await supportsFileSelection(getTarget(pending.target)))
+    ) {
+      rows.push([Markup.button.callback("파일 선택…", `sub:files:${pending.token}`)]);
+    }
+    if (multiTarget) {
+      const current = getTarget(pending.target);
+      rows.push(
+        targets.map((target, index) =>
+          Markup.button.callback(`${target === current ? "✅ " : ""}${target.label}`, `sub:nas:${pending.token}:${index}`),
+        ),
+      );
+    }
+    return Markup.inlineKeyboard(rows);
+  }
+
+  const FILE_PAGE_SIZE = 8;
+
+  function fileSelectionView(pending) {
+    const files = pending.metadata.files || [];
+    const pageCount = Math.max(1, Math.ceil(files.length / FILE_PAGE_SIZE));
+    const page = Math.min(Math.max(0, pending.filePage || 0), pageCount - 1);
+    const pageFiles = files.slice(page * FILE_PAGE_SIZE, (page + 1) * FILE_PAGE_SIZE);
+    pending.filePage = page;
+
+    const text = [
+      `${shortenText(pending.metadata.displayName || pending.fileName, 60)}`,
+      `받을 파일을 선택하세요. (${pending.selectedFiles.size}/${files.length}개 선택, ${page + 1}/${pageCount} 페이지)`,
+    ].join("\n");
+
+    const rows = pageFiles.map((file) => [
+      Markup.button.callback(
+        `${pending.selectedFiles.has(file.index) ? "☑" : "☐"} ${shortenText(file.path, 32)} (${formatBytes(file.length)})`,
+        `sub:ft:${pending.token}:${file.index}`,
+      ),
+    ]);
+
+    if (pageCount > 1) {
+      rows.push([
+        Markup.button.callback("◀", `sub:fp:${pending.token}:${Math.max(0, page - 1)}`),
+        Markup.button.callback(`${page + 1}/${pageCount}`, `sub:fp:${pending.token}:${page}`),
+        Markup.button.callback("▶", `sub:fp:${pending.token}:${Math.min(pageCount - 1, page + 1)}`),
+      ]);
+    }
+    rows.push([
+      Markup.button.callback("전체 선택", `sub:fall:${pending.token}`),
+      Markup.button.callback("전체 해제", `sub:fnone:${pending.token}`),
+    ]);
+    rows.push([
+      Markup.button.callback("← 뒤로", `sub:back:${pending.token}`),
+      Markup.button.callback("선택 완료 후 추가", `sub:add:${pending.token}`),
+    ]);
+
+    return { text, keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  const FOLDER_BROWSER_TTL_MS = 30 * 60 * 1000;
+
+  const FOLDER_PAGE_SIZE = 8;
+
+  const folderBrowsers = new Map();
+
+  function createFolderBrowser(chatId, mode, target, pendingToken = "") {
+    const now = Date.now();
+    for (const [key, item] of folderBrowsers) {
+      if (now - item.createdAt > FOLDER_BROWSER_TTL_MS) folderBrowsers.delete(key);
+    }
+
+    const token = crypto.randomBytes(6).toString("hex");
+    const browser = {
+      token,
+      chatId: String(chatId),
+      mode,
+      target: target.name,
+      pendingToken,
+      path: "",
+      entries: [],
+      page: 0,
+      error: "",
+      createdAt: now,
+    };
+    folderBrowsers.set(token, browser);
+    return browser;
+  }
+
+  async function loadFolderBrowser(browser, folderPath) {
+    browser.path = folderPath;
+    browser.page = 0;
+    browser.error = "";
+    try {
+      browser.entries = await getTarget(browser.target).synology.listFolders(folderPath);
+    } catch (error) {
+      browser.entries = [];
+      browser.error = error.message;
+    }
+  }
+
+  function folderBrowserView(browser, header) {
+    const pageCount = Math.max(1, Math.ceil(browser.entries.length / FOLDER_PAGE_SIZE));
+    const page = Math.min(Math.max(0, browser.page), pageCount - 1);
+    const pageEntries = browser.entries.slice(page * FOLDER_PAGE_SIZE, (page + 1) * FOLDER_PAGE_SIZE);
+    browser.page = page;
+
+    const lines = [header, "", `현재 위치: ${browser.path || "공유 폴더 목록"}`];
+    if (browser.error) {
+      lines.push(`폴더 목록 조회 실패: ${browser.error}`);
+    } else if (browser.entries.length === 0) {
+      lines.push("하위 폴더가 없습니다.");
+    }
+
+    const rows = [];
+    if (!browser.path) {
+      destinationPresets.forEach((destination, index) => {
+        rows.push([Markup.button.callback(`⭐ ${shortenText(destination, 40)}`, `fb:${browser.token}:s:${index}`)]);
+      });
+    }
+    pageEntries.forEach((entry, index) => {
+      rows.push([
+        Markup.button.callback(`📁 ${shortenText(entry.name, 40)}`, `fb:${browser.token}:o:${page * FOLDER_PAGE_SIZE + index}`),
+      ]);
+    });
+    if (pageCount > 1) {
+      rows.push([
+        Markup.button.callback("◀", `fb:${browser.token}:g:${Math.max(0, page - 1)}`),
+        Markup.button.callback(`${page + 1}/${pageCount}`, `fb:${browser.token}:g:${page}`),
+        Markup.button.callback("▶", `fb:${browser.token}:g:${Math.min(pageCount - 1, page + 1)}`),
+      ]);
+    }
+
+    const actionRow = [];
+    if (browser.path) {
+      actionRow.push(Markup.button.callback("⬆ 상위", `fb:${browser.token}:u`));
+      actionRow.push(
+        Markup.button.callback(browser.mode === "default" ? "✅ 기본으로 설정" : "✅ 여기에 저장", `fb:${browser.token}:p`),
+      );
+    }
+    if (actionRow.length > 0) rows.push(actionRow);
+
+    const closeRow = [Markup.button.callback(browser.mode === "default" ? "닫기" : "← 뒤로", `fb:${browser.token}:x`)];
+    if (browser.mode === "default") {
+      closeRow.unshift(Markup.button.callback("기본값 초기화", `fb:${browser.token}:r`));
+    }
+    rows.push(closeRow);
+
+    return { text: lines.join("\n"), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  function defaultDestinationHeader(chatId, target = chatTarget(chatId)) {
+    const resolved = resolveDestination(chatId, "", null, target);
+    return `이 채팅의 기본 저장 위치${multiTarget ? ` (NAS: ${target.label})` : ""}: ${formatDestinationLabel(
+      resolved.destination,
+      resolved.source,
+    )}`;
+  }
+
+  function formatDuplicateNotice(pending, duplicate, chatId) {
+    const lines = ["이미 등록된 항목입니다. (info hash 일치)"];
+    lines.push(`- 이름: ${shortenText(duplicate.task?.title || duplicate.record?.title || pending.metadata.displayName, 80)}`);
+
+    if (duplicate.task) {
+      const { task } = duplicate;
+      const size = taskSize(task);
+      const downloaded = taskDownloaded(task);
+      lines.push(
+        `- 현재 상태: ${taskStatusLabel(task.status)} | ${formatBytes(downloaded)} / ${formatBytes(size)}${
+          size > 0 ? ` (${formatPercent(downloaded / size)})` : ""
+        }`,
+      );
+      lines.push(`- 저장 위치: ${taskDestination(duplicate.task) || "기본 경로"}`);
+    } else {
+      const record = duplicate.record;
+      lines.push(`- 최근 등록: ${new Date(record.submittedAt).toLocaleString("ko-KR")}`);
+      lines.push(`- 최종 상태: ${record.finalStatus ? taskStatusLabel(record.finalStatus) : "알수없음"} (현재 목록에 없음)`);
+    }
+
+    if (duplicate.record) {
+      lines.push(`- 등록한 채팅: ${duplicate.record.chatId === String(chatId) ? "이 채팅" : "다른 채팅"}`);
+    }
+    lines.push(`- 해시: ${pending.metadata.infoHash}`);
+    return lines.join("\n");
+  }
+
+  function duplicateKeyboard(pending) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback("그래도 추가", `sub:dup:${pending.token}`),
+        Markup.button.callback("취소", `sub:cancel:${pending.token}`),
+      ],
+    ]);
+  }
+
+  // chatId -> { target, id } in the order the last /task reply numbered them
+  const lastTaskListings = new Map();
+
+  const PENDING_DELETE_TTL_MS = 5 * 60 * 1000;
+
+  const pendingDeletes = new Map();
+
+  // Numbers refer to the last /task listing, which may span several NAS; IDs and "all"
+  // always mean tasks on the chat's current NAS. Returns { target, task } entries.
+  async function resolveTaskSelection(chatId, rawArgs, includeInAll) {
+    const selectors = parseTaskSelectors(rawArgs);
+    if (!selectors.all && selectors.indexes.length === 0 && selectors.ids.length === 0) {
+      return { entries: [], missing: selectors.invalid, empty: true };
+    }
+
+    const currentTarget = chatTarget(chatId);
+    const listing = lastTaskListings.get(String(chatId)) || [];
+    const neededTargets = new Set(selectors.all || selectors.ids.length > 0 ? [currentTarget] : []);
+    for (const index of selectors.indexes) {
+      if (listing[index - 1]) neededTargets.add(getTarget(listing[index - 1].target));
+    }
+
+    const tasksByTarget = new Map();
+    for (const target of neededTargets) {
+      const snapshot = await target.synology.getTaskSnapshot(300);
+      tasksByTarget.set(target, snapshot.tasks || []);
+    }
+    const findTask = (target, id) =>
+      (tasksByTarget.get(target) || []).find((task) => String(task.id || "").trim() === id) || null;
+
+    const selected = new Map();
+    const select = (target, task) => selected.set(`${target.name}:${task.id}`, { target, task });
+    const missing = [...selectors.invalid];
+
+    if (selectors.all) {
+      for (const task of tasksByTarget.get(currentTarget).filter(includeInAll)) {
+        select(currentTarget, task);
+      }
+    }
+
+    for (const index of selectors.indexes) {
+      const entry = listing[index - 1];
+      const target = entry ? getTarget(entry.target) : null;
+      const task = target ? findTask(target, entry.id) : null;
+      if (task) {
+        select(target, task);
+      } else {
+        missing.push(`#${index}`);
+      }
+    }
+
+    for (const id of selectors.ids) {
+      const task = findTask(currentTarget, id);
+      if (task) {
+        select(currentTarget, task);
+      } else {
+        missing.push(id);
+      }
+    }
+
+    return { entries: [...selected.values()], missing, empty: false };
+  }
+
+  function groupByTarget(entries) {
+    const groups = new Map();
+    for (const { target, task } of entries) {
+      if (!groups.has(target)) groups.set(target, []);
+      groups.get(target).push(task);
+    }
+    return groups;
+  }
+
+  function formatSelectionMissing(missing) {
+    if (missing.length === 0) return "";
+    return `찾지 못한 항목: ${missing.slice(0, 10).join(", ")} (번호는 최근 /task 목록 기준)`;
+  }
+
+  async function runTaskControlCommand(ctx, options) {
+    const selection = await resolveTaskSelection(ctx.chat.id, ctx.payload, options.includeInAll);
+    if (selection.empty) {
+      await ctx.reply(`사용법: /${options.command} <번호|ID|all> (예: /${options.command} 1 3, /${options.command} all)`);
+      return;
+    }
+
+    const lines = [];
+    if (selection.entries.length === 0) {
+      lines.push(`${options.label}할 작업이 없습니다.`);
+    } else {
+      for (const [target, tasks] of groupByTarget(selection.entries)) {
+        await options.action(target, tasks.map((task) => String(task.id)));
+      }
+      lines.push(`${options.label}: ${selection.entries.length}건`);
+      selection.entries.slice(0, 10).forEach(({ target, task }) => {
+        lines.push(`- ${targetTag(target)}${shortenText(task.title)}`);
+      });
+    }
+
+    const missingText = formatSelectionMissing(selection.missing);
+    if (missingText) lines.push(missingText);
+    await ctx.reply(lines.join("\n"));
+  }
+
+  bot.start(async (ctx) => {
+    if (!(await ensureAuthorized(ctx))) return;
+    await ctx.reply(buildUsage());
+  });
+
+  bot.command("help", async (ctx) => {
+    if (!(await ensureAuthorized(ctx))) return;
+    await ctx.reply(buildUsage());
+  });
+
+  bot.command("id", async (ctx) => {
+    const role = roleOf(ctx);
+    await ctx.reply(
+      [
+        `chat_id: ${ctx.chat.id}`,
+        `user_id: ${ctx.from?.id ?? "-"}`,
+        `권한: ${role ? BOT_ROLE_LABELS[role] : "없음"}`,
+      ].join("\n"),
+    );
+  });
+
+  // "" = the chat's NAS, "all"/"@all" = every NAS, otherwise a NAS name or label (with or without "@").
+  function resolveTargetScope(chatId, raw) {
+    const arg = String(raw || "").trim().replace(/^@/, "").toLowerCase();
+    if (!arg) return { scope: chatTarget(chatId).name, targets: [chatTarget(chatId)] };
+    if (arg === "all" || arg === "전체") return { scope: "all", targets };
+    const target = findTarget(arg);
+    return target ? { scope: target.name, targets: [target] } : null;
+  }
+
+  function unknownTargetText(name, allowAll = true) {
+    const choices = [...targets.map((target) => target.name), ...(allowAll ? ["@all"] : [])];
+    return `알 수 없는 NAS입니다: ${name}\n사용할 수 있는 NAS: ${choices.join(", ")}`;
+  }
+
+  async function formatTargetStat(target) {
+    const snapshot = await target.synology.getTaskSnapshot(200);
+    const apiGeneration = await target.synology.apiGeneration();
+    const tasks = snapshot.tasks || [];
+    const counts = {};
+    let totalDownloadSpeed = 0;
+    let totalUploadSpeed = 0;
+
+    for (const task of tasks) {
+      const status = task.status || "unknown";
+      counts[status] = (counts[status] || 0) + 1;
+      totalDownloadSpeed += taskDownloadSpeed(task);
+      totalUploadSpeed += taskUploadSpeed(task);
+    }
+
+    const activeCount = tasks.filter((task) => ACTIVE_STATUSES.has(task.status)).length;
+    const downloadingCount = counts.downloading || 0;
+    const waitingCount = counts.waiting || 0;
+    const pausedCount = counts.paused || 0;
+    const seedingCount = counts.seeding || 0;
+    const finishedCount = counts.finished || 0;
+    const errorCount = counts.error || 0;
+
+    const lines = [
+      `Download Station 상태${multiTarget ? ` (${target.label})` : ""}`,
+      "- 연결 상태: 정상",
+      apiGeneration.generation === 2
+        ? `- 작업 API: DownloadStation2 (v${apiGeneration.version})`
+        : `- 작업 API: DownloadStation 구형 (v${apiGeneration.version})`,
+      `- 총 작업: ${snapshot.total}건`,
+      `- 진행중: ${activeCount}건 (다운로드 ${downloadingCount} / 대기 ${waitingCount} / 시딩 ${seedingCount})`,
+      `- 일시정지: ${pausedCount}건`,
+      `- 완료: ${finishedCount}건`,
+      `- 오류: ${errorCount}건`,
+      `- 현재 속도: ↓ ${formatSpeed(totalDownloadSpeed)} | ↑ ${formatSpeed(totalUploadSpeed)}`,
+    ];
+
+    if (snapshot.total > tasks.length) {
+      lines.push(`- 참고: 최근 ${tasks.length}건 기준으로 속도/상태를 집계했습니다.`);
+    }
+
+    return lines;
+  }
+
+  bot.command("stat", async (ctx) => {
+    if (!(await ensureAuthorized(ctx))) return;
+
+    const selection = resolveTargetScope(ctx.chat.id, ctx.payload);
+    if (!selection) {
+      await ctx.reply(unknownTargetText(String(ctx.payload || "").trim()));
+      return;
+    }
+
+    if (selection.targets.length === 1) {
+      try {
+        const lines = await formatTargetStat(selection.targets[0]);
+        await ctx.reply(lines.join("\n"));
+      } catch (error) {
+        await ctx.reply(`상태 조회 실패: ${error.message}`);
+      }
+      return;
+    }
+
+    const sections = [];
+    for (const target of selection.targets) {
+      try {
+        sections.push((await formatTargetStat(target)).join("\n"));
+      } catch (error) {
+        sections.push(`Download Station 상태 (${target.label})\n- 연결 상태: 실패 (${error.message})`);
+      }
+    }
+    await ctx.reply(sections.join("\n\n"));
+  });
+
+  const TASK_PAGE_SIZE = 5;
+
+  async function editMessage(ctx, text, extra) {
+    try {
+      await ctx.editMessageText(text, extra);
+    } catch (error) {
+      if (!isMessageNotModifiedError(error)) throw error;
+    }
+  }
+
+  // `requestedScope` is a NAS name or "all"; button callbacks carry it so paging keeps the view.
+  async function buildTaskListView(chatId, requestedFilter, requestedPage, requestedScope) {
+    const scope = requestedScope === "all" ? "all" : (findTarget(requestedScope) || chatTarget(chatId)).name;
+    const scopeTargets = scope === "all" ? targets : [getTarget(scope)];
+    const showTarget = scope === "all" && multiTarget;
+
+    const entries = [];
+    const notes = [];
+    for (const target of scopeTargets) {
+      try {
+        const snapshot = await target.synology.getTaskSnapshot(200);
+        const tasks = snapshot.tasks || [];
+        entries.push(...tasks.map((task) => ({ target, task })));
+        if (snapshot.total > tasks.length) {
+          notes.push(`참고: ${targetTag(target)}전체 ${snapshot.total}건 중 최근 ${tasks.length}건만 조회했습니다.`);
+        }
+      } catch (error) {
+        if (scopeTargets.length === 1) throw error;
+        notes.push(`${targetTag(target)}조회 실패: ${error.message}`);
+      }
+    }
+    entries.sort((a, b) => taskSortTime(b.task) - taskSortTime(a.task));
+
+    let filter = TASK_LIST_FILTERS[requestedFilter] ? requestedFilter : "";
+    if (!filter) {
+      // Without an explicit filter keep the old behaviour: active tasks first, otherwise everything.
+      filter = entries.some(({ task }) => TASK_LIST_FILTERS.act.match(task)) ? "act" : "all";
+    }
+
+    const matched = entries.filter(({ task }) => TASK_LIST_FILTERS[filter].match(task));
+    const pageCount = Math.max(1, Math.ceil(matched.length / TASK_PAGE_SIZE));
+    const page = Math.min(Math.max(0, toNumber(requestedPage, 0)), pageCount - 1);
+    const offset = page * TASK_PAGE_SIZE;
+    const pageEntries = matched.slice(offset, offset + TASK_PAGE_SIZE);
+
+    lastTaskListings.set(
+      String(chatId),
+      matched.map(({ target, task }) => ({ target: target.name, id: String(task.id || "").trim() })),
+    );
+
+    const scopeLabel = multiTarget ? `[${scope === "all" ? "전체 NAS" : getTarget(scope).label}] ` : "";
+    const lines = [
+      `${scopeLabel}${TASK_LIST_FILTERS[filter].label} 작업 ${matched.length}건 (${page + 1}/${pageCount} 페이지)`,
+    ];
+    if (pageEntries.length === 0) {
+      lines.push(entries.length === 0 ? "등록된 다운로드 작업이 없습니다." : "해당 상태의 작업이 없습니다.");
+    }
+    pageEntries.forEach(({ target, task }, index) => {
+      lines.push(`${showTarget ? targetTag(target) : ""}${formatTaskLine(task, offset + index + 1)}`);
+    });
+    lines.push(...notes);
+
+    const suffix = `${filter}:${page}:${scope}`;
+    const rows = pageEntries.map(({ target, task }, index) => {
+      const number = offset + index + 1;
+      const key = `${target.name}:${String(task.id || "").trim()}`;
+      const toggle =
+        task.status === "paused"
+          ? Markup.button.callback(`${number} ▶ 재개`, `tk:r:${key}:${suffix}`)
+          : Markup.button.callback(`${number} ⏸ 정지`, `tk:p:${key}:${suffix}`);
+      return [
+        Markup.button.callback(`${number} 상세`, `tk:d:${key}:${suffix}`),
+        toggle,
+        Markup.button.callback(`${number} 🗑 삭제`, `tk:x:${key}:${suffix}`),
+      ];
+    });
+
+    if (pageCount > 1) {
+      rows.push([
+        Markup.button.callback("◀ 이전", `tl:${filter}:${Math.max(0, page - 1)}:${scope}`),
+        Markup.button.callback(`${page + 1}/${pageCount}`, `tl:${filter}:${page}:${scope}`),
+        Markup.button.callback("다음 ▶", `tl:${filter}:${Math.min(pageCount - 1, page + 1)}:${scope}`),
+      ]);
+    }
+
+    const filterButtons = Object.entries(TASK_LIST_FILTERS).map(([key, item]) =>
+      Markup.button.callback(key === filter ? `• ${item.label}` : item.label, `tl:${key}:0:${scope}`),
+    );
+    rows.push(filterButtons.slice(0, 3), filterButtons.slice(3));
+    if (multiTarget) {
+      const scopeButtons = [...targets.map((target) => [target.name, target.label]), ["all", "전체 NAS"]].map(
+        ([key, label]) => Markup.button.callback(key === scope ? `• ${label}` : label, `tl:${filter}:0:${key}`),
+      );
+      rows.push(scopeButtons);
+    }
+    rows.push([Markup.button.callback("새로고침", `tl:${filter}:${page}:${scope}`)]);
+
+    return { text: lines.join("\n"), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  bot.command("task", async (ctx) => {
+    if (!(await ensureAuthorized(ctx))) return;
+
+    // Status filters come first, so "all" here means every status and "@all" every NAS.
+    let filter = "";
+    let scope = "";
+    for (const arg of String(ctx.payload || "").trim().toLowerCase().split(/\s+/).filter(Boolean)) {
+      if (!arg.startsWith("@") && (TASK_LIST_FILTERS[arg] || TASK_LIST_FILTER_ALIASES[arg])) {
+        filter = TASK_LIST_FILTERS[arg] ? arg : TASK_LIST_FILTER_ALIASES[arg];
+        continue;
+      }
+      const selection = resolveTargetScope(ctx.chat.id, arg);
+      if (selection) {
+        scope = selection.scope;
+      } else if (multiTarget) {
+        await ctx.reply(unknownTargetText(arg));
+        return;
+      }
+    }
+
+    try {
+      const view = await buildTaskListView(ctx.chat.id, filter, 0, scope);
+      await ctx.reply(view.text, view.keyboard);
+    } catch (error) {
+      await ctx.reply(`작업 조회 실패: ${error.message}`);
+    }
+  });
+
+  bot.action(/^tl:([a-z]+):(\d+)(?::([a-z][a-z0-9]*))?$/, async (ctx) => {
+    if (!(await ensureAuthorized(ctx))) return;
+
+    const [, filter, page, scope] = ctx.match;
+    try {
+      const view = await buildTaskListView(ctx.chat.id, filter, Number(page), scope);
+      await ctx.answerCbQuery();
+      await editMessage(ctx, view.text, view.keyboard);
+    } catch (error) {
+      await ctx.answerCbQuery(`작업 조회 실패: ${error.message}`.slice(0, 190)).catch(() => {});
+    }
+  });
+
+  // Buttons from before multi-NAS support have no target or scope; they belong to the first NAS.
+  bot.action(/^tk:(d|p|r|x|xo):(?:([a-z][a-z0-9]*):)?([A-Za-z]+_[A-Za-z0-9]+):([a-z]+):(\d+)(?::([a-z][a-z0-9]*))?$/, async (ctx) => {
+    const [, action, targetName, taskId, filter, page, rawScope] = ctx.match;
+    if (!(await ensureAuthorized(ctx, action === "d" ? "viewer" : "admin"))) return;
+
+    const target = getTarget(targetName);
+    const scope = rawScope || target.name;
+    const key = `${target.name}:${taskId}`;
+    const suffix = `${filter}:${page}:${scope}`;
+    const backData = `tl:${suffix}`;
+
+    try {
+      const snapshot = await target.synology.getTaskSnapshot(300);
+      const task = (snapshot.tasks || []).find((item) => String(item.id || "").trim() === taskId);
+      if (!task) {
+        await ctx.answerCbQuery("작업을 찾지 못했습니다. 목록을 새로고침합니다.");
+        const view = await buildTaskListView(ctx.chat.id, filter, Number(page), scope);
+        await editMessage(ctx, view.text, view.keyboard);
+        return;
+      }
+
+      if (action === "d") {
+        await ctx.answerCbQuery();
+        const toggle =
+          task.status === "paused"
+            ? Markup.button.callback("▶ 재개", `tk:r:${key}:${suffix}`)
+            : Markup.button.callback("⏸ 정지", `tk:p:${key}:${suffix}`);
+        await editMessage(
+          ctx,
+          multiTarget ? `NAS: ${target.label}\n${formatTaskDetail(task)}` : formatTaskDetail(task),
+          Markup.inlineKeyboard([
+            [toggle, Markup.button.callback("🗑 삭제", `tk:x:${key}:${suffix}`)],
+            [Markup.button.callback("← 목록", backData)],
+          ]),
+        );
+        return;
+      }
+
+      if (action === "x") {
+        await ctx.answerCbQuery();
+        await editMessage(
+          ctx,
+          `이 작업을 삭제할까요?\n${targetTag(target)}${formatTaskLine(task, "-")}`,
+          Markup.inlineKeyboard([
+            [
+              Markup.button.callback("삭제", `tk:xo:${key}:${suffix}`),
+              Markup.button.callback("취소", backData),
+            ],
+          ]),
+        );
+        return;
+      }
+
+      if (action === "p") {
+        await target.synology.pauseTasks(taskId);
+        await ctx.answerCbQuery("일시정지했습니다.");
+      } else if (action === "r") {
+        await target.synology.resumeTasks(taskId);
+        await ctx.answerCbQuery("재개했습니다.");
+      } else if (action === "xo") {
+        await target.synology.deleteTasks(taskId);
+        await notifyTaskRemoved(task, "delete", target);
+        await ctx.answerCbQuery("삭제했습니다.");
+      }
+
+      const view = await buildTaskListView(ctx.chat.id, filter, Number(page), scope);
+      await editMessage(ctx, view.text, view.keyboard);
+    } catch (error) {
+      await ctx.answerCbQuery(`작업 처리 실패: ${error.message}`.slice(0, 190)).catch(() => {});
+    }
+  });
+
+  function summarizeKeptTasks(keep) {
+    const counts = new Map();
+    for (const item of keep) {
+      const label = item.reason === "keep_hours" ? "보관 시간 미경과" : item.label;
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+    return [...counts].map(([label, count]) => `${label} ${count}건`).join(", ");
+  }
+
+  bot.command("clean", async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    const dryRun = /^(dry|dry-run|preview)$/i.test(String(ctx.payload || "").trim());
+    const target = chatTarget(ctx.chat.id);
+    const tag = targetTag(target);
+
+    try {
+      const result = await removeFinishedTasksNow(target, "command", { dryRun });
+      const heldText = result.held > 0 ? `유지: ${result.held}건 (${summarizeKeptTasks(result.plan.keep)})` : "";
+
+      if (dryRun) {
+        const lines = [`${tag}정리 미리보기 (삭제하지 않음): 삭제 대상 ${result.completed}건`];
+        result.plan.remove.slice(0, 15).forEach((item, index) => {
+          lines.push(`${index + 1}. [${item.label}] ${shortenText(item.task.title)}`);
+        });
+        if (result.plan.remove.length > 15) {
+          lines.push(`... 외 ${result.plan.remove.length - 15}건`);
+        }
+        if (heldText) {
+          lines.push(heldText);
+          result.plan.keep.slice(0, 10).forEach((item) => {
+            lines.push(`- [${item.label}] ${shortenText(item.task.title)}`);
+          });
+        }
+        await ctx.reply(lines.join("\n"));
+        return;
+      }
+
+      if (result.completed === 0) {
+        await ctx.reply([`${tag}정리할 완료/시딩 항목이 없습니다.`, heldText].filter(Boolean).join("\n"));
+        return;
+      }
+      const lines = [`${tag}완료/시딩 항목 정리: ${result.removed}/${result.completed}건 삭제`];
+      if (heldText) {
+        lines.push(heldText);
+      }
+      if (result.failed > 0) {
+        lines.push(`삭제 실패: ${result.failed}건`);
+        if (result.errors.length > 0) {
+          lines.push(`사유: ${result.errors.slice(0, 2).join(" | ")}`);
+        }
+      }
+      await ctx.reply(lines.join("\n"));
+    } catch (error) {
+      await ctx.reply(`완료 항목 정리 실패: ${error.message}`);
+    }
+  });
+
+  bot.command("pause", async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    try {
+      await runTaskControlCommand(ctx, {
+        command: "pause",
+        label: "일시정지",
+        includeInAll: (task) => ACTIVE_STATUSES.has(task.status),
+        action: (target, ids) => target.synology.pauseTasks(ids),
+      });
+    } catch (error) {
+      await ctx.reply(`작업 일시정지 실패: ${error.message}`);
+    }
+  });
+
+  bot.command("resume", async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    try {
+      await runTaskControlCommand(ctx, {
+        command: "resume",
+        label: "재개",
+        includeInAll: (task) => task.status === "paused" && !isCompletedTask(task),
+        action: (target, ids) => target.synology.resumeTasks(ids),
+      });
+    } catch (error) {
+      await ctx.reply(`작업 재개 실패: ${error.message}`);
+    }
+  });
+
+  bot.command("delete", async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    try {
+      const selection = await resolveTaskSelection(ctx.chat.id, ctx.payload, () => true);
+      if (selection.empty) {
+        await ctx.reply("사용법: /delete <번호|ID|all> (예: /delete 2, /delete dbid_123)");
+        return;
+      }
+
+      const missingText = formatSelectionMissing(selection.missing);
+      if (selection.entries.length === 0) {
+        await ctx.reply(["삭제할 작업이 없습니다.", missingText].filter(Boolean).join("\n"));
+        return;
+      }
+
+      const now = Date.now();
+      for (const [key, item] of pendingDeletes) {
+        if (now - item.createdAt > PENDING_DELETE_TTL_MS) pendingDeletes.delete(key);
+      }
+      const token = crypto.randomBytes(6).toString("hex");
+      pendingDeletes.set(token, { chatId: String(ctx.chat.id), entries: selection.entries, createdAt: now });
+
+      const lines = [`다음 ${selection.entries.length}건을 삭제할까요?`];
+      selection.entries.slice(0, 15).forEach(({ target, task }, index) => {
+        lines.push(`${index + 1}. ${targetTag(target)}${taskStatusLabel(task.status)} | ${shortenText(task.title)}`);
+      });
+      if (selection.entries.length > 15) {
+        lines.push(`... 외 ${selection.entries.length - 15}건`);
+      }
+      if (missingText) lines.push(missingText);
+
+      await ctx.reply(
+        lines.join("\n"),
+        Markup.inlineKeyboard([
+          [
+            Markup.button.callback("삭제", `del:ok:${token}`),
+            Markup.button.callback("취소", `del:no:${token}`),
+          ],
+        ]),
+      );
+    } catch (error) {
+      await ctx.reply(`작업 삭제 실패: ${error.message}`);
+    }
+  });
+
+  bot.action(/^del:(ok|no):([0-9a-f]+)$/, async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    const [, action, token] = ctx.match;
+    const pending = pendingDeletes.get(token);
+    if (!pending || pending.chatId !== String(ctx.chat.id) || Date.now() - pending.createdAt > PENDING_DELETE_TTL_MS) {
+      pendingDeletes.delete(token);
+      await ctx.answerCbQuery("만료되었거나 이미 처리된 요청입니다.");
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+    pendingDeletes.delete(token);
+
+    if (action === "no") {
+      await ctx.answerCbQuery("취소했습니다.");
+      await ctx.editMessageText("작업 삭제를 취소했습니다.");
+      return;
+    }
+
+    await ctx.answerCbQuery("삭제 중...");
+    try {
+      for (const [target, tasks] of groupByTarget(pending.entries)) {
+        await target.synology.deleteTasks(tasks.map((task) => String(task.id)));
+        for (const task of tasks) {
+          await notifyTaskRemoved(task, "delete", target);
+        }
+      }
+      await ctx.editMessageText(`작업 삭제 완료: ${pending.entries.length}건`);
+    } catch (error) {
+      await ctx.editMessageText(`작업 삭제 실패: ${error.message}`);
+    }
+  });
+
+  // Registers the submission and keeps the given message (already showing "등록 중...")
+  // updated with the result, the retry-queue notice or the progress watcher.
+  async function submitAndReport(chatId, messageId, pending, destination) {
+    const preview = submissionPreview(pending);
+    const edit = (text) => bot.telegram.editMessageText(chatId, messageId, undefined, text);
+
+    try {
+      const result = await submitPendingSubmission(pending, destination, chatId);
+      const baseText = `${preview}\n\n${result.text}`;
+      await edit(baseText);
+      if (result.taskId) {
+        watchTaskProgress(chatId, messageId, result.taskId, baseText, result.target);
+      }
+    } catch (error) {
+      if (retryQueueEnabled && isTransientNasError(error)) {
+        try {
+          const item = await enqueueRetry(chatId, pending, destination, error);
+          await edit(`${preview}\n\n${formatRetryQueued(item)}\n(오류: ${error.message})`);
+          return;
+        } catch (queueError) {
+          console.error("[synology-auto-bot] retry enqueue failed:", queueError.message);
+        }
+      }
+      const labels = { magnet: "마그넷 등록 실패", url: "링크 등록 실패" };
+      await edit(`${preview}\n\n${labels[pending.kind] || "토렌트 파일 등록 실패"}: ${error.message}`);
+    }
+  }
+
+  async function confirmPendingSubmission(ctx, pending, destination) {
+    // Drop the entry before the slow upload so a double tap cannot register twice.
+    pendingSubmissions.delete(pending.token);
+    await ctx.answerCbQuery("등록 중...");
+    await ctx.editMessageText(`${submissionPreview(pending)}\n\n등록 중...`);
+    await submitAndReport(ctx.chat.id, ctx.callbackQuery.message.message_id, pending, destination);
+  }
+
+  function formatRssSubscription(item, number) {
+    const filters = [
+      item.include ? `include=${item.include}` : "",
+      item.exclude ? `exclude=${item.exclude}` : "",
+    ].filter(Boolean);
+    const lines = [
+      `${number}. ${shortenText(item.title || item.url, 50)} (${item.intervalMin}분마다${
+        multiTarget ? `, NAS: ${rssSubscriptionTarget(item).label}` : ""
+      })`,
+      `   ${item.url}`,
+    ];
+    if (filters.length > 0) lines.push(`   ${filters.join(" ")}`);
+    if (item.lastError) lines.push(`   최근 오류: ${shortenText(item.lastError, 80)}`);
+    return lines.join("\n");
+  }
+
+  const SEARCH_SESSION_TTL_MS = 30 * 60 * 1000;
+
+  const searchSessions = new Map();
+
+  function pruneSearchSessions() {
+    const now = Date.now();
+    for (const [token, session] of searchSessions) {
+      if (now - session.createdAt > SEARCH_SESSION_TTL_MS) {
+        searchSessions.delete(token);
+      }
+    }
+  }
+
+  function searchResultView(keyword, result, token) {
+    const hits = result.items.slice(0, searchResultLimit);
+    if (hits.length === 0) {
+      return {
+        text: `"${keyword}" 검색 결과가 없습니다.${result.finished ? "" : ` (${searchTimeoutSec}초 안에 검색이 끝나지 않음)`}`,
+        keyboard: undefined,
+      };
+    }
+
+    const lines = [`"${keyword}" 검색 결과: 시드 순 상위 ${hits.length}건 (전체 ${result.total}건)`];
+    if (!result.finished) lines.push(`(${searchTimeoutSec}초 안에 끝나지 않아 지금까지 찾은 결과만 표시)`);
+    hits.forEach((hit, index) => {
+      lines.push(`${index + 1}. ${shortenText(hit.title, 70)}`);
+      lines.push(
+        `   ${hit.size > 0 ? formatBytes(hit.size) : "크기 모름"} | 시드 ${hit.seeds} / 리치 ${hit.leechs}${
+          hit.source ? ` | ${hit.source}` : ""
+        }`,
+      );
+    });
+
+    const buttons = hits.map((_hit, index) => Markup.button.callback(`추가 ${index + 1}`, `sr:${token}:${index}`));
+    const rows = [];
+    for (let index = 0; index < buttons.length; index += 5) {
+      rows.push(buttons.slice(index, index + 5));
+    }
+    return { text: lines.join("\n"), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  bot.action(/^sub:([a-z]+):([0-9a-f]+)(?::(\d+))?$/, async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "submitter"))) return;
+
+    const [, action, token, rawIndex] = ctx.match;
+    const pending = getPendingSubmission(ctx, token);
+    if (!pending) {
+      await ctx.answerCbQuery("만료되었거나 이미 처리된 요청입니다.");
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+
+    const preview = submissionPreview(pending);
+
+    if (action === "cancel") {
+      pendingSubmissions.delete(token);
+      await ctx.answerCbQuery("취소했습니다.");
+      await ctx.editMessageText(`${preview}\n\n취소됨`);
+      return;
+    }
+
+    if (action === "dest") {
+      await ctx.answerCbQuery();
+      const browser = createFolderBrowser(ctx.chat.id, "submission", getTarget(pending.target), token);
+      await loadFolderBrowser(browser, "");
+      const view = folderBrowserView(browser, `${preview}\n\n저장할 폴더를 선택하세요.`);
+      await editMessage(ctx, view.text, view.keyboard);
+      return;
+    }
+
+    if (action === "back" || action === "dup") {
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(preview, await previewKeyboard(pending));
+      return;
+    }
+
+    if (action === "nas") {
+      const target = targets[toNumber(rawIndex, -1)];
+      if (target) pending.target = target.name;
+      // Files picked for another NAS cannot be applied on one without per-file control.
+      if (!(await supportsFileSelection(getTarget(pending.target)))) pending.selectedFiles = null;
+      await ctx.answerCbQuery(`NAS: ${getTarget(pending.target).label}`);
+      await editMessage(ctx, submissionPreview(pending), await previewKeyboard(pending));
+      return;
+    }
+
+    if (["files", "fp", "ft", "fall", "fnone"].includes(action)) {
+      if (!(await supportsFileSelection(getTarget(pending.target)))) {
+        await ctx.answerCbQuery("이 NAS의 Download Station은 파일 단위 선택을 지원하지 않습니다. (DSM 7 이상 필요)", {
+          show_alert: true,
+        });
+        return;
+      }
+      const files = pending.metadata.files || [];
+      if (!pending.selectedFiles) {
+        pending.selectedFiles = new Set(files.map((file) => file.index));
+      }
+
+      const index = toNumber(rawIndex, -1);
+      if (action === "fp") {
+        pending.filePage = index;
+      } else if (action === "ft" && index >= 0) {
+        if (pending.selectedFiles.has(index)) {
+          pending.selectedFiles.delete(index);
+        } else {
+          pending.selectedFiles.add(index);
+        }
+      } else if (action === "fall") {
+        pending.selectedFiles = new Set(files.map((file) => file.index));
+      } else if (action === "fnone") {
+        pending.selectedFiles = new Set();
+      }
+
+      const view = fileSelectionView(pending);
+      await ctx.answerCbQuery();
+      // Telegram rejects edits that do not change the message (e.g. tapping the page label).
+      await ctx.editMessageText(view.text, view.keyboard).catch(() => {});
+      return;
+    }
+
+    if (pending.selectedFiles && pending.selectedFiles.size === 0) {
+      await ctx.answerCbQuery("최소 1개 이상의 파일을 선택하세요.");
+      return;
+    }
+
+    await confirmPendingSubmission(ctx, pending, "");
+  });
+
+  bot.action(/^fb:([0-9a-f]+):([a-z])(?::(\d+))?$/, async (ctx) => {
+    const [, token, action, rawIndex] = ctx.match;
+    const browser = folderBrowsers.get(token);
+    if (!(await ensureAuthorized(ctx, browser?.mode === "default" ? "admin" : "submitter"))) return;
+
+    const pending = browser?.mode === "submission" ? getPendingSubmission(ctx, browser.pendingToken) : null;
+    if (!browser || browser.chatId !== String(ctx.chat.id) || (browser.mode === "submission" && !pending)) {
+      folderBrowsers.delete(token);
+      await ctx.answerCbQuery("만료되었거나 이미 처리된 요청입니다.");
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+
+    const browserTarget = getTarget(browser.target);
+    const header = pending
+      ? `${submissionPreview(pending)}\n\n저장할 폴더를 선택하세요.`
+      : defaultDestinationHeader(ctx.chat.id, browserTarget);
+    const index = toNumber(rawIndex, -1);
+
+    let chosen = "";
+    if (action === "o") {
+      const entry = browser.entries[index];
+      if (entry) {
+        await loadFolderBrowser(browser, entry.path);
+      }
+    } else if (action === "u") {
+      const parent = path.posix.dirname(browser.path);
+      await loadFolderBrowser(browser, parent === "/" || parent === "." ? "" : parent);
+    } else if (action === "g") {
+      browser.page = index;
+    } else if (action === "p") {
+      chosen = normalizeDestination(browser.path);
+    } else if (action === "s") {
+      chosen = destinationPresets[index] || "";
+    } else if (action === "r" && browser.mode === "default") {
+      folderBrowsers.delete(token);
+      setChatDestination(ctx.chat.id, "", browserTarget);
+      await ctx.answerCbQuery("기본 저장 위치를 초기화했습니다.");
+      await editMessage(ctx, defaultDestinationHeader(ctx.chat.id, browserTarget));
+      return;
+    } else if (action === "x") {
+      folderBrowsers.delete(token);
+      await ctx.answerCbQuery();
+      if (pending) {
+        await editMessage(ctx, submissionPreview(pending), await previewKeyboard(pending));
+      } else {
+        await editMessage(ctx, defaultDestinationHeader(ctx.chat.id, browserTarget));
+      }
+      return;
+    }
+
+    if (chosen) {
+      folderBrowsers.delete(token);
+      if (pending) {
+        await confirmPendingSubmission(ctx, pending, chosen);
+      } else {
+        setChatDestination(ctx.chat.id, chosen, browserTarget);
+        await ctx.answerCbQuery("기본 저장 위치를 저장했습니다.");
+        await editMessage(ctx, defaultDestinationHeader(ctx.chat.id, browserTarget));
+      }
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    const view = folderBrowserView(browser, header);
+    await editMessage(ctx, view.text, view.keyboard);
+  });
+
+  bot.command("search", async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "submitter"))) return;
+
+    const keyword = String(ctx.payload || "").trim();
+    if (!keyword) {
+      await ctx.reply("사용법: /search <검색어>");
+      return;
+    }
+
+    const message = await ctx.reply(`"${keyword}" 검색 중... (최대 ${searchTimeoutSec}초)`);
+    try {
+      const result = await chatTarget(ctx.chat.id).synology.searchTorrents(keyword, {
+        timeoutSec: searchTimeoutSec,
+        limit: 50,
+      });
+      pruneSearchSessions();
+      const token = crypto.randomBytes(6).toString("hex");
+      searchSessions.set(token, {
+        chatId: String(ctx.chat.id),
+        hits: result.items.slice(0, searchResultLimit),
+        createdAt: Date.now(),
+      });
+      const view = searchResultView(keyword, result, token);
+      await ctx.telegram.editMessageText(ctx.chat.id, message.message_id, undefined, view.text, view.keyboard);
+    } catch (error) {
+      await ctx.telegram.editMessageText(ctx.chat.id, message.message_id, undefined, `검색 실패: ${error.message}`);
+    }
+  });
+
+  bot.action(/^sr:([0-9a-f]+):(\d+)$/, async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "submitter"))) return;
+
+    pruneSearchSessions();
+    const [, token, rawIndex] = ctx.match;
+    const session = searchSessions.get(token);
+    const hit = session?.chatId === String(ctx.chat.id) ? session.hits[Number(rawIndex)] : null;
+    if (!hit) {
+      await ctx.answerCbQuery("검색 결과가 만료되었습니다. 다시 검색해 주세요.");
+      return;
+    }
+
+    const kind = /^magnet:/i.test(hit.uri) ? "magnet" : "url";
+    const metadata = kind === "magnet" ? parseMagnetUri(hit.uri) : {};
+    const pending = createPendingSubmission(ctx.chat.id, {
+      kind,
+      uri: hit.uri,
+      metadata: {
+        ...metadata,
+        displayName: metadata.displayName || hit.title,
+        totalSize: metadata.totalSize || hit.size,
+      },
+    });
+
+    if (pending.metadata.infoHash) {
+      try {
+        const target = getTarget(pending.target);
+        const currentTasks = (await target.synology.getTaskSnapshot(300)).tasks || [];
+        const duplicate = findDuplicateSubmission(pending.metadata.infoHash, currentTasks, target);
+        if (duplicate) {
+          await ctx.answerCbQuery();
+          await ctx.reply(formatDuplicateNotice(pending, duplicate, ctx.chat.id), duplicateKeyboard(pending));
+          return;
+        }
+      } catch (error) {
+        synology.debugLog("duplicate check snapshot failed", { message: error.message });
+      }
+    }
+
+    pendingSubmissions.delete(pending.token);
+    await ctx.answerCbQuery("등록 중...");
+    const message = await ctx.reply(`${submissionPreview(pending)}\n\n등록 중...`);
+    await submitAndReport(ctx.chat.id, message.message_id, pending, "");
+  });
+
+  bot.command("rss", async (ctx) => {
+    const [subcommand = "list", ...args] = String(ctx.payload || "").trim().split(/\s+/).filter(Boolean);
+    const action = subcommand.toLowerCase();
+    if (!(await ensureAuthorized(ctx, action === "list" ? "viewer" : "submitter"))) return;
+
+    const subscriptions = chatRssSubscriptions(ctx.chat.id);
+
+    if (action === "add") {
+      const [url, ...optionTokens] = args;
+      if (!/^https?:\/\//i.test(url || "")) {
+        await ctx.reply("사용법: /rss add <URL> [include=정규식] [exclude=정규식] [interval=분]");
+        return;
+      }
+      const { options, errors } = parseFeedOptions(optionTokens);
+      if (errors.length > 0) {
+        await ctx.reply(errors.join("\n"));
+        return;
+      }
+      if (subscriptions.some((item) => item.url === url)) {
+        await ctx.reply("이 채팅에서 이미 구독 중인 피드입니다. /rss list 로 확인하세요.");
+        return;
+      }
+
+      let feed = null;
+      try {
+        feed = await fetchFeed(url);
+      } catch (error) {
+        await ctx.reply(`피드를 읽지 못했습니다: ${error.message}`);
+        return;
+      }
+
+      // Items already in the feed are treated as seen so subscribing does not flood the NAS.
+      const subscription = {
+        id: crypto.randomBytes(4).toString("hex"),
+        chatId: String(ctx.chat.id),
+        target: chatTarget(ctx.chat.id).name,
+        url,
+        title: feed.title,
+        include: options.include || "",
+        exclude: options.exclude || "",
+        intervalMin: options.intervalMin || rssDefaultIntervalMin,
+        createdAt: Date.now(),
+        lastCheckedAt: Date.now(),
+        lastError: "",
+        seen: feed.items.map((item) => item.guid).filter(Boolean).slice(-RSS_SEEN_LIMIT),
+      };
+      stateStore.set(RSS_SUBSCRIPTIONS_KEY, [...getRssSubscriptions(), subscription]);
+
+      const matching = feed.items.filter((item) => (item.magnet || item.torrentUrl) && feedItemMatches(subscription, item));
+      await ctx.reply(
+        [
+          `RSS 구독 추가: ${feed.title || url}`,
+          `현재 항목 ${feed.items.length}건 (필터에 맞는 토렌트 ${matching.length}건)은 이미 본 것으로 처리했고, 이후 새 항목만 자동 등록합니다.`,
+          formatRssSubscription(subscription, subscriptions.length + 1),
+        ].join("\n"),
+      );
+      return;
+    }
+
+    if (action === "rm" || action === "set") {
+      const index = toNumber(args[0], 0) - 1;
+      const subscription = subscriptions[index];
+      if (!subscription) {
+        await ctx.reply(`사용법: /rss ${action} <번호>${action === "set" ? " [include=정규식] [exclude=정규식] [interval=분]" : ""} (번호는 /rss list 기준)`);
+        return;
+      }
+
+      if (action === "rm") {
+        stateStore.set(
+          RSS_SUBSCRIPTIONS_KEY,
+          getRssSubscriptions().filter((item) => item.id !== subscription.id),
+        );
+        await ctx.reply(`RSS 구독 해제: ${subscription.title || subscription.url}`);
+        return;
+      }
+
+      const { options, errors } = parseFeedOptions(args.slice(1));
+      if (errors.length > 0 || Object.keys(options).length === 0) {
+        await ctx.reply(errors.length > 0 ? errors.join("\n") : "변경할 옵션을 입력하세요. (include=, exclude=, interval=)");
+        return;
+      }
+      updateRssSubscription(subscription.id, options);
+      await ctx.reply(`RSS 구독 변경:\n${formatRssSubscription({ ...subscription, ...options }, index + 1)}`);
+      return;
+    }
+
+    if (action === "check") {
+      if (subscriptions.length === 0) {
+        await ctx.reply("이 채팅에서 구독 중인 RSS 피드가 없습니다.");
+        return;
+      }
+      const lines = [];
+      for (const subscription of subscriptions) {
+        try {
+          const result = await checkRssSubscription(subscription);
+          lines.push(`- ${shortenText(subscription.title || subscription.url, 40)}: 새 항목 ${result.fresh}건, 등록 대상 ${result.added}건`);
+        } catch (error) {
+          lines.push(`- ${shortenText(subscription.title || subscription.url, 40)}: 실패 (${error.message})`);
+        }
+      }
+      await ctx.reply(["RSS 확인 결과:", ...lines].join("\n"));
+      return;
+    }
+
+    if (subscriptions.length === 0) {
+      await ctx.reply("이 채팅에서 구독 중인 RSS 피드가 없습니다.\n/rss add <URL> [include=정규식] [exclude=정규식] [interval=분]");
+      return;
+    }
+    await ctx.reply(
+      [
+        `RSS 구독 ${subscriptions.length}개`,
+        ...subscriptions.map((item, index) => formatRssSubscription(item, index + 1)),
+        "",
+        "/rss rm <번호> 로 해제, /rss set <번호> include=... 로 필터 변경, /rss check 로 즉시 확인",
+      ].join("\n"),
+    );
+  });
+
+  bot.command("queue", async (ctx) => {
+    if (!(await ensureAuthorized(ctx))) return;
+
+    const [subcommand = "", target = ""] = String(ctx.payload || "").trim().split(/\s+/);
+    const items = getRetryQueue();
+    if (subcommand && !(await ensureAuthorized(ctx, "admin"))) return;
+
+    if (/^(cancel|rm|취소)$/i.test(subcommand)) {
+      const item = /^\d+$/.test(target) ? items[Number(target) - 1] : items.find((entry) => entry.id === target.replace(/^#/, ""));
+      if (!item) {
+        await ctx.reply("사용법: /queue cancel <번호|#ID> (번호는 /queue 목록 기준)");
+        return;
+      }
+      await removeRetryItem(item);
+      await ctx.reply(`재시도 대기열 #${item.id}을(를) 취소했습니다: ${shortenText(item.title, 60)}`);
+      return;
+    }
+
+    if (/^(retry|now|재시도)$/i.test(subcommand)) {
+      if (items.length === 0) {
+        await ctx.reply("재시도 대기열이 비어 있습니다.");
+        return;
+      }
+      await ctx.reply(`재시도 대기열 ${items.length}건을 지금 다시 시도합니다.`);
+      await runRetryQueue(true);
+      return;
+    }
+
+    if (items.length === 0) {
+      await ctx.reply("재시도 대기열이 비어 있습니다.");
+      return;
+    }
+
+    const kindLabels = { magnet: "마그넷", torrent: "토렌트", url: "링크" };
+    const lines = [`재시도 대기열 ${items.length}건`];
+    items.forEach((item, index) => {
+      const remainSec = Math.max(0, (item.nextAttemptAt - Date.now()) / 1000);
+      const tag = targetTag(getTarget(item.target));
+      lines.push(
+        `${index + 1}. #${item.id} ${tag}[${kindLabels[item.kind] || item.kind}] ${shortenText(item.title, 40)} | ${
+          item.attempts
+        }회 실패 | 다음 시도 ${remainSec > 0 ? `${formatDuration(remainSec)} 후` : "곧"}${
+          item.chatId === String(ctx.chat.id) ? "" : " | 다른 채팅"
+        }`,
+      );
+      lines.push(`   최근 오류: ${shortenText(item.lastError, 80)}`);
+    });
+    lines.push("/queue cancel <번호> 로 취소, /queue retry 로 즉시 재시도");
+    await ctx.reply(lines.join("\n"));
+  });
+
+  bot.command("limit", async (ctx) => {
+    const args = String(ctx.payload || "").trim().split(/\s+/).filter(Boolean);
+    if (!(await ensureAuthorized(ctx, args.length > 0 ? "admin" : "viewer"))) return;
+
+    const target = chatTarget(ctx.chat.id);
+    if (args.length === 0) {
+      try {
+        const { down, up } = await readSpeedLimits(target);
+        const lines = [`${targetTag(target)}현재 속도 제한 (BT): ↓${formatSpeedLimit(down)} ↑${formatSpeedLimit(up)}`];
+        if (speedLimitSchedule.length > 0) {
+          const index = activeScheduleEntryIndex(speedLimitSchedule);
+          lines.push("", "속도 제한 일정 (그 외 시간은 무제한):");
+          speedLimitSchedule.forEach((entry, entryIndex) => {
+            lines.push(`- ${formatScheduleEntry(entry)}${entryIndex === index ? " ← 지금" : ""}`);
+          });
+        }
+        lines.push("", "변경: /limit <다운> <업> (예: /limit 2MB 500K), 해제: /limit off");
+        await ctx.reply(lines.join("\n"));
+      } catch (error) {
+        await ctx.reply(`속도 제한 조회 실패: ${error.message}`);
+      }
+      return;
+    }
+
+    const down = parseSpeedLimit(args[0]);
+    const up = /^off$/i.test(args[0]) ? 0 : parseSpeedLimit(args[1] ?? "0");
+    if (down === null || up === null) {
+      await ctx.reply("사용법: /limit <다운> <업> (KB/s 숫자 또는 2MB, 500K처럼 단위 포함), /limit off");
+      return;
+    }
+
+    try {
+      await applySpeedLimits(target, down, up);
+      const text = `${targetTag(target)}속도 제한 변경 (모든 프로토콜): ↓${formatSpeedLimit(down)} ↑${formatSpeedLimit(up)}`;
+      const scheduleNote = speedLimitSchedule.length > 0 ? "\n(다음 일정 시간대가 시작/종료되면 일정 값으로 바뀝니다.)" : "";
+      await ctx.reply(`${text}${scheduleNote}`);
+      console.log(`[synology-auto-bot] ${text} by ${ctx.from?.id ?? ctx.chat.id}`);
+      const changedBy = ctx.from?.username ? `@${ctx.from.username}` : ctx.from?.id ?? ctx.chat.id;
+      await notifyAdmins(`${text} (변경: ${changedBy})`, { exceptChatId: ctx.chat.id });
+    } catch (error) {
+      await ctx.reply(`속도 제한 변경 실패: ${error.message}`);
+    }
+  });
+
+  bot.command("settings", async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    const view = settingsView();
+    await ctx.reply(view.text, view.keyboard);
+  });
+
+  bot.action(/^set:([a-z])(?::([a-z]+))?(?::(\d+))?$/, async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    const [, action, code, rawValue] = ctx.match;
+    const setting = RUNTIME_SETTINGS.find((item) => item.code === code);
+
+    if (action === "x") {
+      await ctx.answerCbQuery();
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+
+    if (action === "i" && setting?.type === "interval") {
+      const view = intervalChoiceView(setting);
+      await ctx.answerCbQuery();
+      await editMessage(ctx, view.text, view.keyboard);
+      return;
+    }
+
+    let notice = "";
+    if (action === "t" && setting?.type === "boolean") {
+      applySetting(setting.key, !settings[setting.key]);
+      notice = `${setting.label}: ${formatSettingValue(setting, settings[setting.key])}(으)로 변경했습니다.`;
+    } else if (action === "v" && setting?.type === "interval") {
+      const value = Math.max(MIN_SETTING_INTERVAL_SEC, toNumber(rawValue, settings[setting.key]));
+      applySetting(setting.key, value);
+      notice = `${setting.label}: ${formatDuration(value)}(으)로 변경했습니다.`;
+    } else if (action === "r") {
+      for (const item of RUNTIME_SETTINGS) {
+        if (settings[item.key] !== settingDefaults[item.key]) {
+          applySetting(item.key, settingDefaults[item.key]);
+        }
+      }
+      notice = "모든 설정을 .env 기본값으로 되돌렸습니다.";
+    }
+
+    if (notice) {
+      console.log(`[synology-auto-bot] settings changed by ${ctx.from?.id ?? ctx.chat.id}: ${notice}`);
+    }
+    const view = settingsView(notice);
+    await ctx.answerCbQuery(notice.slice(0, 190));
+    await editMessage(ctx, view.text, view.keyboard);
+  });
+
+  bot.command("dest", async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    const arg = String(ctx.payload || "").trim();
+    if (/^(reset|default|초기화)$/i.test(arg)) {
+      setChatDestination(ctx.chat.id, "");
+      await ctx.reply(`기본 저장 위치를 초기화했습니다.\n${defaultDestinationHeader(ctx.chat.id)}`);
+      return;
+    }
+    if (arg) {
+      setChatDestination(ctx.chat.id, normalizeDestination(arg));
+      await ctx.reply(defaultDestinationHeader(ctx.chat.id));
+      return;
+    }
+
+    const browser = createFolderBrowser(ctx.chat.id, "default", chatTarget(ctx.chat.id));
+    await loadFolderBrowser(browser, "");
+    const view = folderBrowserView(browser, defaultDestinationHeader(ctx.chat.id));
+    await ctx.reply(view.text, view.keyboard);
+  });
+
+  function nasView(chatId, notice = "") {
+    const current = chatTarget(chatId);
+    const lines = ["NAS 목록 (✅ = 이 채팅에서 쓰는 NAS)"];
+    targets.forEach((target, index) => {
+      lines.push(`${target === current ? "✅" : "-"} ${formatTargetName(target)}${index === 0 ? " - 기본" : ""}`);
+    });
+    lines.push("", "새 등록, /task, /stat, /dest, /limit, /clean 이 선택한 NAS를 기준으로 동작합니다.");
+    if (notice) lines.push("", notice);
+    const buttons = targets.map((target, index) =>
+      Markup.button.callback(`${target === current ? "✅ " : ""}${target.label}`, `nas:${index}`),
+    );
+    return { text: lines.join("\n"), keyboard: Markup.inlineKeyboard([buttons]) };
+  }
+
+  bot.command("nas", async (ctx) => {
+    const arg = String(ctx.payload || "").trim();
+    if (!(await ensureAuthorized(ctx, arg ? "admin" : "viewer"))) return;
+
+    if (!multiTarget) {
+      await ctx.reply(
+        `연결된 NAS는 ${targets[0].label} 하나입니다. 여러 대를 쓰려면 SYNOLOGY_TARGETS에 이름을 나열하세요.`,
+      );
+      return;
+    }
+
+    if (arg) {
+      const target = findTarget(arg.replace(/^@/, ""));
+      if (!target) {
+        await ctx.reply(unknownTargetText(arg, false));
+        return;
+      }
+      setChatTarget(ctx.chat.id, target);
+      await ctx.reply(nasView(ctx.chat.id, `이 채팅의 NAS를 ${target.label}(으)로 바꿨습니다.`).text);
+      return;
+    }
+
+    const view = nasView(ctx.chat.id);
+    await ctx.reply(view.text, view.keyboard);
+  });
+
+  bot.action(/^nas:(\d+)$/, async (ctx) => {
+    if (!(await ensureAuthorized(ctx, "admin"))) return;
+
+    const target = targets[Number(ctx.match[1])];
+    if (!target) {
+      await ctx.answerCbQuery("없는 NAS입니다.");
+      return;
+    }
+    setChatTarget(ctx.chat.id, target);
+    await ctx.answerCbQuery(`NAS: ${target.label}`);
+    const view = nasView(ctx.chat.id, `이 채팅의 NAS를 ${target.label}(으)로 바꿨습니다.`);
+    await editMessage(ctx, view.text, view.keyboard);
+  });
+
+  // Answer to a pending NAS 2-step verification prompt; any other six-digit message is handled as usual.
+  bot.hears(/^\s*(\d{6})\s*$/, async (ctx, next) => {
+    if (roleOf(ctx) !== "admin" || !resolveOtpCode(ctx.match[1])) return next();
+
+    // The code is a credential; keep it out of the chat history when the bot is allowed to delete it.
+    await ctx.deleteMessage().catch(() => {});
+    await ctx.reply("2단계 인증 코드를 받았습니다. NAS에 로그인하는 중...");
+  });
+
+  bot.on("message", async (ctx) => {
+    const message = ctx.message || {};
+    if (typeof message.text === "string" && message.text.trim().startsWith("/")) {
+      await ensureAuthorized(ctx);
+      return;
+    }
+    if (!(await ensureAuthorized(ctx, "submitter"))) return;
+
+    const text = [message.text, message.caption].filter(Boolean).join("\n");
+    const magnets = extractMagnets(text);
+    const linkEntityUrls = [...(message.entities || []), ...(message.caption_entities || [])]
+      .filter((entity) => entity.type === "text_link" && entity.url)
+      .map((entity) => entity.url);
+    const links = extractDownloadLinks(text, linkEntityUrls);
+
+    const pendingList = [];
+    const failed = [];
+    const linkResults = [];
+
+    for (const magnet of magnets) {
+      pendingList.push(
+        createPendingSubmission(ctx.chat.id, {
+          kind: "magnet",
+          uri: magnet,
+          metadata: parseMagnetUri(magnet),
+        }),
+      );
+    }
+
+    for (const link of links) {
+      const linkLabel = shortenText(link, 60);
+      const linkKind = await probeLinkKind(link);
+      if (linkKind === "page") {
+        linkResults.push(`${linkLabel} → 파일 링크가 아님 (웹 페이지), 건너뜀`);
+        continue;
+      }
+      if (linkKind === "torrent") {
+        try {
+          const { fileName, fileBuffer } = await fetchTorrentFromUrl(link);
+          let metadata = null;
+          let metadataError = "";
+          try {
+            metadata = extractTorrentMetadata(fileBuffer);
+            if (!metadata) {
+              metadataError = "info 섹션 없음";
+            }
+          } catch (error) {
+            metadataError = error.message;
+          }
+          pendingList.push(
+            createPendingSubmission(ctx.chat.id, {
+              kind: "torrent",
+              fileName,
+              fileBuffer,
+              metadata: metadata || {},
+              metadataError,
+            }),
+          );
+          linkResults.push(`${linkLabel} → 토렌트 파일로 받아 미리보기`);
+        } catch (error) {
+          linkResults.push(`${linkLabel} → 토렌트 파일 받기 실패: ${error.message}`);
+        }
+        continue;
+      }
+
+      const urlPending = { kind: "url", uri: link, metadata: { displayName: filenameFromUrl(link) } };
+      try {
+        const result = await submitPendingSubmission(urlPending, "", ctx.chat.id);
+        linkResults.push(`${linkLabel} → 직접 다운로드로 ${result.text}`);
+      } catch (error) {
+        if (retryQueueEnabled && isTransientNasError(error)) {
+          const item = await enqueueRetry(ctx.chat.id, urlPending, "", error).catch(() => null);
+          if (item) {
+            linkResults.push(`${linkLabel} → 직접 다운로드, NAS 연결 실패로 재시도 대기열 #${item.id}에 추가`);
+            continue;
+          }
+        }
+        linkResults.push(`${linkLabel} → 직접 다운로드 등록 실패: ${error.message}`);
+      }
+    }
+
+    if (message.document) {
+      const fileName = message.document.file_name || `upload_${Date.now()}.torrent`;
+      const isTorrent =
+        fileName.toLowerCase().endsWith(".torrent") ||
+        message.document.mime_type === "application/x-bittorrent";
+
+      if (!isTorrent) {
+        failed.push("첨부 파일이 .torrent 형식이 아닙니다.");
+      } else {
+        try {
+          const fileLink = await ctx.telegram.getFileLink(message.document.file_id);
+          const fileResponse = await axios.get(fileLink.toString(), {
+            responseType: "arraybuffer",
+            maxBodyLength: 20 * 1024 * 1024,
+            maxContentLength: 20 * 1024 * 1024,
+          });
+
+          const fileBuffer = Buffer.from(fileResponse.data);
+          let metadata = null;
+          let metadataError = "";
+          try {
+            metadata = extractTorrentMetadata(fileBuffer);
+            if (!metadata) {
+              metadataError = "info 섹션 없음";
+            }
+          } catch (error) {
+            metadataError = error.message;
+          }
+
+          pendingList.push(
+            createPendingSubmission(ctx.chat.id, {
+              kind: "torrent",
+              fileName,
+              fileBuffer,
+              metadata: metadata || {},
+              metadataError,
+            }),
+          );
+        } catch (error) {
+          failed.push(`토렌트 파일 가져오기 실패: ${error.message}`);
+        }
+      }
+    }
+
+    if (pendingList.length === 0 && failed.length === 0 && linkResults.length === 0) {
+      await ctx.reply("마그넷 링크, 다운로드 링크 또는 .torrent 파일을 보내주세요.\n\n" + buildUsage());
+      return;
+    }
+
+    if (linkResults.length > 0) {
+      await ctx.reply(["링크 처리 결과:", ...linkResults.map((line, index) => `${index + 1}. ${line}`)].join("\n"));
+    }
+
+    const target = chatTarget(ctx.chat.id);
+    let currentTasks = null;
+    if (pendingList.some((pending) => pending.metadata.infoHash)) {
+      try {
+        currentTasks = (await target.synology.getTaskSnapshot(300)).tasks || [];
+      } catch (error) {
+        synology.debugLog("duplicate check snapshot failed", { message: error.message });
+      }
+    }
+
+    for (const pending of pendingList) {
+      const duplicate = currentTasks ? findDuplicateSubmission(pending.metadata.infoHash, currentTasks, target) : null;
+      if (duplicate) {
+        await ctx.reply(formatDuplicateNotice(pending, duplicate, ctx.chat.id), duplicateKeyboard(pending));
+        continue;
+      }
+      await ctx.reply(submissionPreview(pending), await previewKeyboard(pending));
+    }
+    if (failed.length > 0) {
+      await ctx.reply(`실패: ${failed.join(" | ")}`);
+    }
+  });
+
+  bot.catch((error) => {
+    console.error("Telegram bot error:", error);
+  });
+}
+
+module.exports = { registerCommands };
@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const path = require("path");
+const { getEnv, normalizeDestination, parseBoolean, parseCommaList, toNumber } = require("./util");
+const { parseRoleConfig } = require("./roles");
+const { loadCategoryRules, loadSeedingPolicy } = require("./policies");
+const { parseSpeedLimitSchedule } = require("./speed-limit");
+
+const TARGET_NAME_PATTERN = /^[a-z][a-z0-9]{0,9}$/;
+
+// One NAS per name in SYNOLOGY_TARGETS, configured with SYNOLOGY_<NAME>_* variables. Without
+// SYNOLOGY_TARGETS the plain SYNOLOGY_* variables describe a single NAS named "nas". Account
+// settings fall back to the plain variables for every target; the download and watch folders
+// only for the first one, since those paths belong to a particular box.
+function loadSynologyTargets(shared) {
+  const names = parseCommaList(process.env.SYNOLOGY_TARGETS).map((name) => name.toLowerCase());
+  if (names.length === 0) names.push("nas");
+
+  const seen = new Set();
+  for (const name of names) {
+    if (!TARGET_NAME_PATTERN.test(name) || name === "all") {
+      throw new Error(
+        `SYNOLOGY_TARGETS의 '${name}'은(는) 쓸 수 없는 이름입니다. 영문 소문자로 시작하는 영문 소문자/숫자 10자 이내로 정하세요. (all 제외)`,
+      );
+    }
+    if (seen.has(name)) {
+      throw new Error(`SYNOLOGY_TARGETS에 '${name}'이(가) 두 번 들어 있습니다.`);
+    }
+    seen.add(name);
+  }
+
+  return names.map((name, index) => {
+    const prefix = `SYNOLOGY_${name.toUpperCase()}_`;
+    const first = index === 0;
+    const envName = (key, inherit) =>
+      process.env[`${prefix}${key}`] === undefined && inherit ? `SYNOLOGY_${key}` : `${prefix}${key}`;
+    const read = (key, inherit) => process.env[envName(key, inherit)];
+
+    const watchDirValue = read("TORRENT_WATCH_DIR", first);
+    return {
+      name,
+      label: String(read("LABEL", false) || "").trim() || name,
+      baseUrl: getEnv(envName("BASE_URL", first)),
+      username: getEnv(envName("USERNAME", true)),
+      password: getEnv(envName("PASSWORD", true)),
+      destination: read("DOWNLOAD_DIR", first) || "",
+      torrentWatchDir: watchDirValue === undefined ? (first ? "/watch" : "") : String(watchDirValue || "").trim(),
+      watchImportWaitSec: shared.watchImportWaitSec,
+      watchImportStrict: shared.watchImportStrict,
+      allowSelfSigned: parseBoolean(read("ALLOW_SELF_SIGNED", true), false),
+      deviceName: String(read("DEVICE_NAME", true) || "").trim() || "synology-auto-bot",
+      debug: shared.debug,
+    };
+  });
+}
+
+// Webhook mode is on when WEBHOOK_URL is set: Telegram posts updates to that public URL and the
+// reverse proxy forwards them to the built-in HTTP server on WEBHOOK_PATH (the URL's own path by
+// default, for proxies that keep it). Without WEBHOOK_URL the bot uses long polling, and the HTTP
+// server only runs when HTTP_PORT is set.
+function loadHttpConfig() {
+  const rawPort = String(process.env.HTTP_PORT || "").trim();
+  const httpPort = rawPort ? Number(rawPort) : 8080;
+  if (!Number.isInteger(httpPort) || httpPort < 0 || httpPort > 65535) {
+    throw new Error(`HTTP_PORT 값이 올바르지 않습니다: ${rawPort}`);
+  }
+  const httpHost = String(process.env.HTTP_HOST || "").trim() || "0.0.0.0";
+
+  const webhookUrl = String(process.env.WEBHOOK_URL || "").trim();
+  let webhookPath = "";
+  let webhookSecretToken = "";
+  if (webhookUrl) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch {
+      throw new Error(`WEBHOOK_URL 값이 올바른 URL이 아닙니다: ${webhookUrl}`);
+    }
+    if (url.protocol !== "https:") {
+      throw new Error("WEBHOOK_URL은 https:// 주소여야 합니다. (텔레그램 webhook 요구 사항)");
+    }
+    webhookPath = String(process.env.WEBHOOK_PATH || "").trim() || url.pathname;
+    if (!webhookPath.startsWith("/")) {
+      throw new Error(`WEBHOOK_PATH는 /로 시작해야 합니다: ${webhookPath}`);
+    }
+    // Without a configured token a fresh one is registered on every start.
+    webhookSecretToken = String(process.env.WEBHOOK_SECRET_TOKEN || "").trim() || crypto.randomBytes(32).toString("hex");
+    if (!/^[A-Za-z0-9_-]{1,256}$/.test(webhookSecretToken)) {
+      throw new Error("WEBHOOK_SECRET_TOKEN은 영문, 숫자, _, - 로 된 256자 이내 값이어야 합니다.");
+    }
+  }
+
+  return {
+    httpServerEnabled: Boolean(webhookUrl || rawPort),
+    httpHost,
+    httpPort,
+    webhookUrl,
+    webhookPath,
+    webhookSecretToken,
+  };
+}
+
+// Reads every environment setting once at startup. Values that /settings can
+// change at runtime are kept under their env* names; see createApp in index.js.
+async function loadConfig() {
+  const botToken = getEnv("TELEGRAM_BOT_TOKEN");
+  const roleConfig = parseRoleConfig(process.env);
+  if (roleConfig.roles.size === 0 && !roleConfig.openMode) {
+    throw new Error(
+      "허용된 사용자가 없습니다. BOT_ADMIN_IDS / BOT_SUBMITTER_IDS / BOT_VIEWER_IDS 중 하나를 설정하거나, 누구나 쓰게 하려면 BOT_OPEN_MODE=true로 명시하세요.",
+    );
+  }
+  const watchImportWaitSec = Math.max(3, toNumber(process.env.WATCH_IMPORT_WAIT_SEC, 20));
+  const envWatchImportStrict = parseBoolean(process.env.WATCH_IMPORT_STRICT, true);
+  const debug = parseBoolean(process.env.BOT_DEBUG, false);
+
+  const synologyTargets = loadSynologyTargets({ watchImportWaitSec, watchImportStrict: envWatchImportStrict, debug });
+  const otpTimeoutSec = Math.max(30, toNumber(process.env.SYNOLOGY_OTP_TIMEOUT_SEC, 300));
+
+  const envAutoStopSeeding = parseBoolean(process.env.AUTO_STOP_SEEDING, true);
+  const envAutoStopSeedingIntervalSec = Math.max(
+    5,
+    toNumber(process.env.AUTO_STOP_SEEDING_INTERVAL_SEC, 30),
+  );
+  const seedingPolicy = await loadSeedingPolicy({
+    filePath: process.env.SEEDING_POLICY_FILE,
+    defaultRatio: process.env.SEEDING_MIN_RATIO,
+    defaultSeedHours: process.env.SEEDING_MIN_HOURS,
+  });
+  const envAutoRemoveFinished = parseBoolean(process.env.AUTO_REMOVE_FINISHED, true);
+  const envAutoRemoveFinishedIntervalSec = Math.max(
+    5,
+    toNumber(process.env.AUTO_REMOVE_FINISHED_INTERVAL_SEC, 60),
+  );
+  const cleanupRules = {
+    keepHours: Math.max(0, toNumber(process.env.AUTO_REMOVE_KEEP_HOURS, 0)),
+    keepLatest: Math.max(0, Math.floor(toNumber(process.env.AUTO_REMOVE_KEEP_LATEST, 0))),
+    protectedDirs: parseCommaList(process.env.AUTO_REMOVE_PROTECTED_DIRS).map(normalizeDestination).filter(Boolean),
+    errorAfterDays: Math.max(0, toNumber(process.env.AUTO_REMOVE_ERROR_AFTER_DAYS, 0)),
+  };
+
+  const stateFile = path.resolve(process.env.BOT_STATE_FILE || "./data/state.json");
+  const stateHistoryLimit = toNumber(process.env.BOT_STATE_HISTORY_LIMIT, 500);
+
+  const taskNotify = parseBoolean(process.env.TASK_NOTIFY, true);
+  const taskNotifyIntervalSec = Math.max(10, toNumber(process.env.TASK_NOTIFY_INTERVAL_SEC, 30));
+
+  const progressUpdates = parseBoolean(process.env.PROGRESS_UPDATES, true);
+  const progressUpdateIntervalSec = Math.max(5, toNumber(process.env.PROGRESS_UPDATE_INTERVAL_SEC, 10));
+  const progressTimeoutMin = Math.max(1, toNumber(process.env.PROGRESS_TIMEOUT_MIN, 60));
+
+  const destinationPresets = [
+    ...new Set(parseCommaList(process.env.SYNOLOGY_DOWNLOAD_DIR_PRESETS).map(normalizeDestination).filter(Boolean)),
+  ];
+
+  const categoryRules = await loadCategoryRules(process.env.CATEGORY_RULES_FILE);
+  const retryQueueEnabled = parseBoolean(process.env.RETRY_QUEUE, true);
+  const retryQueueDir = path.resolve(process.env.RETRY_QUEUE_DIR || path.join(path.dirname(stateFile), "queue"));
+  const retryBaseDelaySec = Math.max(5, toNumber(process.env.RETRY_QUEUE_BASE_DELAY_SEC, 30));
+  const retryMaxDelaySec = Math.max(retryBaseDelaySec, toNumber(process.env.RETRY_QUEUE_MAX_DELAY_SEC, 1800));
+  const retryMaxAttempts = Math.max(1, toNumber(process.env.RETRY_QUEUE_MAX_ATTEMPTS, 20));
+  const duplicateHistoryDays = Math.max(0, toNumber(process.env.DUPLICATE_HISTORY_DAYS, 7));
+  const inboxDir = process.env.INBOX_DIR ? path.resolve(process.env.INBOX_DIR) : "";
+  if (inboxDir && synologyTargets.some((target) => target.torrentWatchDir && inboxDir === path.resolve(target.torrentWatchDir))) {
+    throw new Error("INBOX_DIR는 SYNOLOGY_TORRENT_WATCH_DIR와 다른 폴더여야 합니다.");
+  }
+  const inboxPollIntervalSec = Math.max(5, toNumber(process.env.INBOX_POLL_INTERVAL_SEC, 30));
+  const inboxSettleSec = Math.max(0, toNumber(process.env.INBOX_SETTLE_SEC, 5));
+  const inboxNotifyChatId = String(process.env.INBOX_NOTIFY_CHAT_ID || "").trim();
+  const rssDefaultIntervalMin = Math.max(1, toNumber(process.env.RSS_POLL_INTERVAL_MIN, 15));
+  const searchResultLimit = Math.min(10, Math.max(1, toNumber(process.env.SEARCH_RESULT_LIMIT, 8)));
+  const searchTimeoutSec = Math.max(5, toNumber(process.env.SEARCH_TIMEOUT_SEC, 30));
+  const speedLimitSchedule = parseSpeedLimitSchedule(process.env.SPEED_LIMIT_SCHEDULE);
+  const httpConfig = loadHttpConfig();
+
+  return {
+    botToken,
+    roleConfig,
+    debug,
+    synologyTargets,
+    otpTimeoutSec,
+    watchImportWaitSec,
+    envWatchImportStrict,
+    envAutoStopSeeding,
+    envAutoStopSeedingIntervalSec,
+    seedingPolicy,
+    envAutoRemoveFinished,
+    envAutoRemoveFinishedIntervalSec,
+    cleanupRules,
+    stateFile,
+    stateHistoryLimit,
+    taskNotify,
+    taskNotifyIntervalSec,
+    progressUpdates,
+    progressUpdateIntervalSec,
+    progressTimeoutMin,
+    destinationPresets,
+    categoryRules,
+    retryQueueEnabled,
+    retryQueueDir,
+    retryBaseDelaySec,
+    retryMaxDelaySec,
+    retryMaxAttempts,
+    duplicateHistoryDays,
+    inboxDir,
+    inboxPollIntervalSec,
+    inboxSettleSec,
+    inboxNotifyChatId,
+    rssDefaultIntervalMin,
+    searchResultLimit,
+    searchTimeoutSec,
+    speedLimitSchedule,
+    ...httpConfig,
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,134 @@
+const axios = require("axios");
+const { toNumber } = require("./util");
+const { extractMagnets, isTorrentUrlPath } = require("./links");
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXmlText(raw) {
+  return String(raw || "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_match, text) => text.replace(/&/g, "&#38;"))
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] !== "#") return XML_ENTITIES[entity.toLowerCase()] ?? match;
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    })
+    .trim();
+}
+
+// Tag names match with or without a namespace prefix (torrent:magnetURI, atom:link, ...).
+function xmlTagText(block, name) {
+  const regex = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, "i");
+  const match = regex.exec(block);
+  return match ? decodeXmlText(match[1]) : "";
+}
+
+function xmlTags(block, name) {
+  const regex = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>`, "gi");
+  return block.match(regex) || [];
+}
+
+function xmlAttr(tag, attr) {
+  const match = new RegExp(`\\s${attr}\\s*=\\s*("([^"]*)"|'([^']*)')`, "i").exec(tag);
+  return match ? decodeXmlText(match[2] ?? match[3]) : "";
+}
+
+// Minimal RSS 2.0 / Atom reader: only what is needed to find magnets and .torrent links.
+function parseFeed(xml) {
+  const text = String(xml || "");
+  const blocks = text.match(/<(item|entry)\b[\s\S]*?<\/\1>/gi) || [];
+  if (blocks.length === 0 && !/<(rss|feed|rdf:RDF)\b/i.test(text)) {
+    throw new Error("RSS/Atom 피드 형식이 아닙니다.");
+  }
+
+  const headerEnd = text.search(/<(item|entry)\b/i);
+  const title = xmlTagText(headerEnd >= 0 ? text.slice(0, headerEnd) : text, "title");
+
+  const items = blocks.map((block) => {
+    const links = xmlTags(block, "link");
+    const atomLinks = links.filter((tag) => xmlAttr(tag, "href"));
+    const alternate = atomLinks.find((tag) => !/enclosure/i.test(xmlAttr(tag, "rel")));
+    const link = xmlTagText(block, "link") || (alternate ? xmlAttr(alternate, "href") : "");
+
+    const enclosures = [
+      ...xmlTags(block, "enclosure").map((tag) => ({ url: xmlAttr(tag, "url"), type: xmlAttr(tag, "type") })),
+      ...atomLinks
+        .filter((tag) => /enclosure/i.test(xmlAttr(tag, "rel")))
+        .map((tag) => ({ url: xmlAttr(tag, "href"), type: xmlAttr(tag, "type") })),
+    ].filter((enclosure) => enclosure.url);
+
+    const magnet =
+      [xmlTagText(block, "magnetURI"), link, ...enclosures.map((enclosure) => enclosure.url)].find((value) =>
+        /^magnet:\?/i.test(value),
+      ) ||
+      extractMagnets(xmlTagText(block, "description") || xmlTagText(block, "content"))[0] ||
+      "";
+    const torrentEnclosure = enclosures.find(
+      (enclosure) => /bittorrent/i.test(enclosure.type) || isTorrentUrlPath(enclosure.url),
+    );
+    const torrentUrl = torrentEnclosure ? torrentEnclosure.url : isTorrentUrlPath(link) ? link : "";
+
+    const itemTitle = xmlTagText(block, "title");
+    return {
+      guid: xmlTagText(block, "guid") || xmlTagText(block, "id") || link || magnet || torrentUrl || itemTitle,
+      title: itemTitle,
+      link,
+      magnet,
+      torrentUrl,
+    };
+  });
+
+  return { title, items };
+}
+
+async function fetchFeed(url) {
+  const response = await axios.get(url, {
+    responseType: "text",
+    timeout: 20000,
+    maxRedirects: 5,
+    maxContentLength: 5 * 1024 * 1024,
+    headers: { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.8" },
+  });
+  return parseFeed(response.data);
+}
+
+// "/rss add <url> include=<regex> exclude=<regex> interval=<분>" style options.
+function parseFeedOptions(tokens) {
+  const options = {};
+  const errors = [];
+  for (const token of tokens) {
+    const match = /^(include|exclude|interval)=(.*)$/i.exec(token);
+    if (!match) {
+      errors.push(`알 수 없는 옵션: ${token}`);
+      continue;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2];
+    if (key === "interval") {
+      const minutes = toNumber(value, 0);
+      if (minutes < 1) errors.push(`interval은 1분 이상이어야 합니다: ${value}`);
+      else options.intervalMin = Math.round(minutes);
+      continue;
+    }
+
+    if (value) {
+      try {
+        new RegExp(value, "i");
+      } catch (error) {
+        errors.push(`${key} 정규식 오류: ${error.message}`);
+        continue;
+      }
+    }
+    options[key] = value;
+  }
+  return { options, errors };
+}
+
+function feedItemMatches(subscription, item) {
+  const title = item.title || "";
+  if (subscription.include && !new RegExp(subscription.include, "i").test(title)) return false;
+  if (subscription.exclude && new RegExp(subscription.exclude, "i").test(title)) return false;
+  return true;
+}
+
+module.exports = { fetchFeed, parseFeedOptions, feedItemMatches };
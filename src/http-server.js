@@ -0,0 +1,87 @@
+const http = require("http");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Errors carrying `status` are answered with that status and their message instead of a 500.
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+async function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw httpError(413, "request body too large");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw httpError(400, "invalid JSON body");
+  }
+}
+
+function sendText(res, status, text = "") {
+  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end(text);
+}
+
+// Built-in HTTP server for the Telegram webhook and anything else that needs an endpoint.
+// Modules register routes with addHttpRoute while the app is being built; main() starts it.
+function createHttpServer(app) {
+  const { httpServerEnabled, httpHost, httpPort } = app.config;
+
+  // "<METHOD> <path>" -> async (req, res, url) handler
+  const routes = new Map();
+  let server = null;
+
+  function addHttpRoute(method, pathname, handler) {
+    const key = `${method.toUpperCase()} ${pathname}`;
+    if (routes.has(key)) throw new Error(`HTTP route already registered: ${key}`);
+    routes.set(key, handler);
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const handler = routes.get(`${req.method} ${url.pathname}`);
+    if (!handler) {
+      const known = [...routes.keys()].some((key) => key.endsWith(` ${url.pathname}`));
+      sendText(res, known ? 405 : 404);
+      return;
+    }
+    try {
+      await handler(req, res, url);
+    } catch (error) {
+      if (!res.headersSent) sendText(res, error.status || 500, error.status ? error.message : "");
+      if (!error.status) console.error(`[synology-auto-bot] HTTP ${req.method} ${url.pathname} failed:`, error);
+    }
+  }
+
+  addHttpRoute("GET", "/healthz", async (req, res) => sendText(res, 200, "ok"));
+
+  // Resolves with the bound address (port 0 picks a free port); does nothing when the server is off.
+  async function startHttpServer() {
+    if (!httpServerEnabled || server) return server?.address() || null;
+    server = http.createServer(handleRequest);
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(httpPort, httpHost, resolve);
+    });
+    const address = server.address();
+    console.log(`[synology-auto-bot] HTTP server listening on ${address.address}:${address.port}`);
+    return address;
+  }
+
+  async function stopHttpServer() {
+    if (!server) return;
+    const closing = server;
+    server = null;
+    closing.closeIdleConnections();
+    await new Promise((resolve) => closing.close(resolve));
+  }
+
+  return { addHttpRoute, startHttpServer, stopHttpServer };
+}
+
+module.exports = { createHttpServer, readJsonBody, sendText };
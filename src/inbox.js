@@ -0,0 +1,41 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const INBOX_EXTENSIONS = new Set([".torrent", ".magnet", ".txt"]);
+
+// Files still being written (browser partials, our own .part files) or modified
+// within settleMs are left for the next scan.
+async function listInboxFiles(inboxDir, settleMs, now = Date.now()) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(inboxDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith(".")) continue;
+    if (!INBOX_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) continue;
+
+    const filePath = path.join(inboxDir, entry.name);
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (!stat || now - stat.mtimeMs < settleMs) continue;
+    files.push({ name: entry.name, filePath, mtimeMs: stat.mtimeMs });
+  }
+  return files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+async function moveInboxFile(filePath, targetDir) {
+  await fs.mkdir(targetDir, { recursive: true });
+  const parsed = path.parse(filePath);
+  let targetPath = path.join(targetDir, parsed.base);
+  if (await fs.stat(targetPath).catch(() => null)) {
+    targetPath = path.join(targetDir, `${parsed.name}_${Date.now()}${parsed.ext}`);
+  }
+  await fs.rename(filePath, targetPath);
+  return targetPath;
+}
+
+module.exports = { listInboxFiles, moveInboxFile };
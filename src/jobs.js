@@ -0,0 +1,998 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { toNumber, formatBytes, formatDuration, shortenText } = require("./util");
+const { extractMagnets, filenameFromUrl, fetchTorrentFromUrl } = require("./links");
+const { fetchFeed, feedItemMatches } = require("./feed");
+const { listInboxFiles, moveInboxFile } = require("./inbox");
+const { extractTorrentMetadata, parseMagnetUri } = require("./torrent");
+const {
+  taskStatusLabel,
+  taskSortTime,
+  taskSize,
+  taskDownloaded,
+  taskDestination,
+  taskErrorDetail,
+  isCompletedTask,
+} = require("./tasks");
+const { evaluateSeedingPolicy, planTaskCleanup } = require("./policies");
+const {
+  SPEED_LIMIT_DOWNLOAD_KEYS,
+  SPEED_LIMIT_UPLOAD_KEYS,
+  formatSpeedLimit,
+  activeScheduleEntryIndex,
+  formatScheduleEntry,
+} = require("./speed-limit");
+const { RUNTIME_SETTINGS } = require("./settings");
+const { isTransientNasError } = require("./synology");
+
+// Background jobs (task tracking, seeding stop, cleanup, speed-limit schedule, retry queue,
+// RSS, inbox) and the runtime settings that drive them.
+function createJobs(app) {
+  const {
+    bot,
+    synology,
+    targets,
+    multiTarget,
+    getTarget,
+    targetTag,
+    targetStateKey,
+    chatTarget,
+    stateStore,
+    settings,
+    settingDefaults,
+    SETTINGS_KEY,
+    adminChatIds,
+    notifyAdmins,
+    formatTaskCompletion,
+    notifySubmitter,
+    notifyTaskRemoved,
+    runProgressUpdates,
+    findDuplicateSubmission,
+    submitPendingSubmission,
+  } = app;
+  const {
+    seedingPolicy,
+    cleanupRules,
+    taskNotify,
+    taskNotifyIntervalSec,
+    progressUpdates,
+    progressUpdateIntervalSec,
+    progressTimeoutMin,
+    retryQueueEnabled,
+    retryQueueDir,
+    retryBaseDelaySec,
+    retryMaxDelaySec,
+    retryMaxAttempts,
+    inboxDir,
+    inboxPollIntervalSec,
+    inboxSettleSec,
+    inboxNotifyChatId,
+    rssDefaultIntervalMin,
+    speedLimitSchedule,
+  } = app.config;
+
+  async function syncTrackedTasksNow() {
+    for (const target of targets) {
+      try {
+        await syncTargetTasksNow(target);
+      } catch (error) {
+        console.error(`[synology-auto-bot] task-tracking failed (${target.name}):`, error.message);
+      }
+    }
+  }
+
+  async function syncTargetTasksNow(target) {
+    const records = stateStore.listOpenSubmissions(target.name);
+    if (records.length === 0) return;
+
+    const snapshot = await target.synology.getTaskSnapshot(300);
+    const tasksById = new Map((snapshot.tasks || []).map((task) => [String(task.id || "").trim(), task]));
+    const fullSnapshot = snapshot.total <= (snapshot.tasks || []).length;
+
+    for (const record of records) {
+      const task = tasksById.get(record.taskId);
+      if (!task) {
+        // Removed outside the bot (DSM UI, another client); nothing left to report on.
+        if (fullSnapshot) {
+          stateStore.updateSubmission(record, {
+            closedAt: Date.now(),
+            finalStatus: record.finalStatus || record.lastStatus || "unknown",
+            removedBy: "external",
+          });
+          synology.debugLog("tracked task disappeared", { target: target.name, taskId: record.taskId, title: record.title });
+        }
+        continue;
+      }
+
+      const status = String(task.status || "");
+      if (status === record.lastStatus) continue;
+      stateStore.updateSubmission(record, { lastStatus: status });
+
+      if (!record.notifiedDone && isCompletedTask(task)) {
+        stateStore.updateSubmission(record, {
+          notifiedDone: true,
+          finishedAt: Date.now(),
+          finalStatus: "finished",
+        });
+        await notifySubmitter(record, formatTaskCompletion(task, record));
+      } else if (status === "error" && !record.notifiedError) {
+        stateStore.updateSubmission(record, { notifiedError: true, finalStatus: "error" });
+        const errorDetail = taskErrorDetail(task);
+        await notifySubmitter(
+          record,
+          [
+            `다운로드 오류: ${shortenText(task.title || record.title, 80)}`,
+            multiTarget ? `- NAS: ${target.label}` : "",
+            `- 상태: ${taskStatusLabel(status)}${errorDetail ? ` (${errorDetail})` : ""}`,
+            `- 진행: ${formatBytes(taskDownloaded(task))} / ${formatBytes(taskSize(task))}`,
+            `- 저장 위치: ${taskDestination(task) || record.destination || target.synology.destination || "기본 경로"}`,
+          ]
+            .filter(Boolean)
+            .join("\n"),
+        );
+      } else if (status !== "error" && record.notifiedError) {
+        stateStore.updateSubmission(record, { notifiedError: false });
+      }
+    }
+  }
+
+  let taskTrackingRunning = false;
+
+  async function runTaskTracking() {
+    if (taskTrackingRunning) return;
+
+    taskTrackingRunning = true;
+    try {
+      await syncTrackedTasksNow();
+    } catch (error) {
+      console.error("[synology-auto-bot] task-tracking failed:", error.message);
+    } finally {
+      taskTrackingRunning = false;
+    }
+  }
+
+  async function stopSeedingTasksNow(target, trigger = "manual") {
+    const snapshot = await target.synology.getTaskSnapshot(300);
+    const seedingTasks = (snapshot.tasks || []).filter((task) => task.status === "seeding");
+    const dueTasks = seedingTasks.filter((task) => evaluateSeedingPolicy(seedingPolicy, task).met);
+
+    if (dueTasks.length === 0) {
+      return { checked: snapshot.total, paused: 0, seeding: seedingTasks.length };
+    }
+
+    let paused = 0;
+    for (const task of dueTasks) {
+      const taskId = String(task.id || "").trim();
+      if (!taskId) continue;
+
+      try {
+        await target.synology.pauseTasks(taskId);
+        paused += 1;
+        const evaluation = evaluateSeedingPolicy(seedingPolicy, task);
+        synology.debugLog("auto-stop seeding paused", {
+          trigger,
+          target: target.name,
+          taskId,
+          title: task.title,
+          policy: evaluation.source,
+          ratio: Number(evaluation.ratio.toFixed(3)),
+          seedHours: Number(evaluation.seedHours.toFixed(2)),
+        });
+      } catch (error) {
+        synology.debugLog("auto-stop seeding pause failed", {
+          trigger,
+          target: target.name,
+          taskId,
+          message: error.message,
+        });
+      }
+    }
+
+    return { checked: snapshot.total, paused, seeding: seedingTasks.length };
+  }
+
+  let autoStopSeedingRunning = false;
+
+  async function runAutoStopSeeding(trigger = "interval") {
+    if (!settings.autoStopSeeding) return;
+    if (autoStopSeedingRunning) return;
+
+    autoStopSeedingRunning = true;
+    try {
+      for (const target of targets) {
+        try {
+          const result = await stopSeedingTasksNow(target, trigger);
+          if (result.paused > 0) {
+            console.log(
+              `[synology-auto-bot] auto-stop-seeding (${target.name}) paused ${result.paused} task(s) out of ${result.seeding} seeding task(s).`,
+            );
+          }
+        } catch (error) {
+          console.error(`[synology-auto-bot] auto-stop-seeding failed (${target.name}):`, error.message);
+        }
+      }
+    } finally {
+      autoStopSeedingRunning = false;
+    }
+  }
+
+  function taskCompletedAtMs(task, target) {
+    const completedSec = toNumber(task?.additional?.detail?.completed_time, 0);
+    if (completedSec > 0) return completedSec * 1000;
+    const record = stateStore.findSubmissionByTaskId(task?.id, target.name);
+    if (record?.finishedAt) return record.finishedAt;
+    return taskSortTime(task) * 1000;
+  }
+
+  async function removeFinishedTasksNow(target, trigger = "manual", options = {}) {
+    const snapshot = await target.synology.getTaskSnapshot(300);
+    const plan = planTaskCleanup(snapshot.tasks || [], cleanupRules, {
+      isSeedingDue: (task) => evaluateSeedingPolicy(seedingPolicy, task).met,
+      completedAtMs: (task) => taskCompletedAtMs(task, target),
+    });
+    const removableTasks = plan.remove.map((item) => item.task);
+    const summary = { checked: snapshot.total, completed: removableTasks.length, held: plan.keep.length, plan };
+
+    if (options.dryRun || removableTasks.length === 0) {
+      return { ...summary, removed: 0, failed: 0, errors: [] };
+    }
+
+    let removed = 0;
+    let failed = 0;
+    const errors = [];
+    for (const task of removableTasks) {
+      const taskId = String(task.id || "").trim();
+      if (!taskId) continue;
+
+      try {
+        await target.synology.deleteTasks(taskId);
+        removed += 1;
+        await notifyTaskRemoved(task, trigger, target);
+        synology.debugLog("auto-clean completed task removed", {
+          trigger,
+          target: target.name,
+          taskId,
+          title: task.title,
+          status: task.status,
+        });
+      } catch (error) {
+        failed += 1;
+        errors.push(`${task.title || taskId}: ${error.message}`);
+        synology.debugLog("auto-clean completed task remove failed", {
+          trigger,
+          target: target.name,
+          taskId,
+          status: task.status,
+          message: error.message,
+        });
+      }
+    }
+
+    return { ...summary, removed, failed, errors };
+  }
+
+  let autoRemoveFinishedRunning = false;
+
+  async function runAutoRemoveFinished(trigger = "interval") {
+    if (!settings.autoRemoveFinished) return;
+    if (autoRemoveFinishedRunning) return;
+
+    autoRemoveFinishedRunning = true;
+    try {
+      for (const target of targets) {
+        try {
+          const result = await removeFinishedTasksNow(target, trigger);
+          if (result.removed > 0) {
+            console.log(
+              `[synology-auto-bot] auto-remove-finished (${target.name}) removed ${result.removed} task(s) out of ${result.completed} completed task(s).`,
+            );
+          }
+          if (result.failed > 0) {
+            console.error(
+              `[synology-auto-bot] auto-remove-finished (${target.name}) failed on ${result.failed} task(s): ${result.errors
+                .slice(0, 3)
+                .join(" | ")}`,
+            );
+          }
+        } catch (error) {
+          console.error(`[synology-auto-bot] auto-remove-finished failed (${target.name}):`, error.message);
+        }
+      }
+    } finally {
+      autoRemoveFinishedRunning = false;
+    }
+  }
+
+  async function readSpeedLimits(target) {
+    const config = await target.synology.getConfig();
+    return {
+      config,
+      down: toNumber(config.bt_max_download, 0),
+      up: toNumber(config.bt_max_upload, 0),
+    };
+  }
+
+  async function applySpeedLimits(target, down, up) {
+    const { config } = await readSpeedLimits(target);
+    const changes = {};
+    for (const key of SPEED_LIMIT_DOWNLOAD_KEYS) {
+      if (key in config) changes[key] = down;
+    }
+    for (const key of SPEED_LIMIT_UPLOAD_KEYS) {
+      if (key in config) changes[key] = up;
+    }
+    if (Object.keys(changes).length === 0) {
+      changes.bt_max_download = down;
+      changes.bt_max_upload = up;
+    }
+    await target.synology.setConfig(changes);
+  }
+
+  const SPEED_LIMIT_SCHEDULE_KEY = "speedLimitScheduleSlot";
+
+  // Applies the schedule only when the active window changes, so a manual /limit
+  // stays in effect until the next boundary (and across restarts within a window).
+  // Every NAS follows the same schedule but remembers its own slot, so one that was
+  // unreachable catches up on a later tick. Starting outside every window for the first
+  // time only records the slot, so limits set by hand in DSM are not cleared.
+  async function applySpeedLimitScheduleNow(target, now = new Date()) {
+    const index = activeScheduleEntryIndex(speedLimitSchedule, now);
+    const slot = index >= 0 ? `entry:${index}` : "none";
+    const slotKey = targetStateKey(target, SPEED_LIMIT_SCHEDULE_KEY);
+    const previousSlot = stateStore.get(slotKey, "");
+    if (previousSlot === slot) return false;
+    if (!previousSlot && slot === "none") {
+      stateStore.set(slotKey, slot);
+      return false;
+    }
+
+    const entry = index >= 0 ? speedLimitSchedule[index] : null;
+    await applySpeedLimits(target, entry ? entry.down : 0, entry ? entry.up : 0);
+    stateStore.set(slotKey, slot);
+
+    const text = `${targetTag(target)}${
+      entry
+        ? `속도 제한 일정 적용 (모든 프로토콜): ↓${formatSpeedLimit(entry.down)} ↑${formatSpeedLimit(entry.up)} (${formatScheduleEntry(entry)})`
+        : "속도 제한 일정 종료: 모든 프로토콜의 속도 제한을 해제했습니다."
+    }`;
+    console.log(`[synology-auto-bot] ${text}`);
+    await notifyAdmins(text);
+    return true;
+  }
+
+  let speedLimitScheduleRunning = false;
+
+  async function runSpeedLimitSchedule() {
+    if (speedLimitScheduleRunning) return;
+
+    speedLimitScheduleRunning = true;
+    try {
+      for (const target of targets) {
+        await applySpeedLimitScheduleNow(target).catch((error) => {
+          console.error(`[synology-auto-bot] speed-limit-schedule failed (${target.name}):`, error.message);
+        });
+      }
+    } finally {
+      speedLimitScheduleRunning = false;
+    }
+  }
+
+  let autoStopSeedingTimer = null;
+
+  function scheduleAutoStopSeeding() {
+    clearInterval(autoStopSeedingTimer);
+    autoStopSeedingTimer = null;
+    if (!settings.autoStopSeeding) {
+      console.log("[synology-auto-bot] auto-stop-seeding disabled");
+      return;
+    }
+
+    autoStopSeedingTimer = setInterval(() => {
+      runAutoStopSeeding("interval");
+    }, settings.autoStopSeedingIntervalSec * 1000);
+    if (typeof autoStopSeedingTimer.unref === "function") {
+      autoStopSeedingTimer.unref();
+    }
+    console.log(
+      `[synology-auto-bot] auto-stop-seeding enabled (interval: ${settings.autoStopSeedingIntervalSec}s)`,
+    );
+  }
+
+  let autoRemoveFinishedTimer = null;
+
+  function scheduleAutoRemoveFinished() {
+    clearInterval(autoRemoveFinishedTimer);
+    autoRemoveFinishedTimer = null;
+    if (!settings.autoRemoveFinished) {
+      console.log("[synology-auto-bot] auto-remove-finished disabled");
+      return;
+    }
+
+    autoRemoveFinishedTimer = setInterval(() => {
+      runAutoRemoveFinished("interval");
+    }, settings.autoRemoveFinishedIntervalSec * 1000);
+    if (typeof autoRemoveFinishedTimer.unref === "function") {
+      autoRemoveFinishedTimer.unref();
+    }
+    console.log(
+      `[synology-auto-bot] auto-remove-finished enabled (interval: ${settings.autoRemoveFinishedIntervalSec}s)`,
+    );
+  }
+
+  function applySetting(key, value) {
+    settings[key] = value;
+
+    const overrides = {};
+    for (const setting of RUNTIME_SETTINGS) {
+      if (settings[setting.key] !== settingDefaults[setting.key]) {
+        overrides[setting.key] = settings[setting.key];
+      }
+    }
+    stateStore.set(SETTINGS_KEY, overrides);
+
+    if (key === "autoStopSeeding" || key === "autoStopSeedingIntervalSec") {
+      scheduleAutoStopSeeding();
+      if (key === "autoStopSeeding" && value) runAutoStopSeeding("settings");
+    }
+    if (key === "autoRemoveFinished" || key === "autoRemoveFinishedIntervalSec") {
+      scheduleAutoRemoveFinished();
+      if (key === "autoRemoveFinished" && value) runAutoRemoveFinished("settings");
+    }
+    if (key === "watchImportStrict") {
+      for (const target of targets) {
+        target.synology.watchImportStrict = value;
+      }
+    }
+  }
+
+  const RETRY_QUEUE_KEY = "retryQueue";
+
+  function getRetryQueue() {
+    return stateStore.get(RETRY_QUEUE_KEY, []);
+  }
+
+  function saveRetryQueue(items) {
+    stateStore.set(RETRY_QUEUE_KEY, items);
+  }
+
+  function retryDelayMs(attempts) {
+    const delaySec = Math.min(retryMaxDelaySec, retryBaseDelaySec * 2 ** Math.max(0, attempts - 1));
+    return delaySec * 1000;
+  }
+
+  async function enqueueRetry(chatId, pending, destination, error) {
+    const id = crypto.randomBytes(4).toString("hex");
+    const item = {
+      id,
+      chatId: String(chatId),
+      target: (pending.target ? getTarget(pending.target) : chatTarget(chatId)).name,
+      kind: pending.kind,
+      uri: pending.uri || "",
+      fileName: pending.fileName || "",
+      filePath: "",
+      title: pending.metadata.displayName || pending.fileName || filenameFromUrl(pending.uri) || "",
+      destination: destination || "",
+      selectedFiles: pending.selectedFiles ? [...pending.selectedFiles] : null,
+      attempts: 1,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now() + retryDelayMs(1),
+      lastError: error.message,
+    };
+
+    if (pending.kind === "torrent") {
+      await fs.mkdir(retryQueueDir, { recursive: true });
+      item.filePath = path.join(retryQueueDir, `${id}.torrent`);
+      await fs.writeFile(item.filePath, pending.fileBuffer);
+    }
+
+    saveRetryQueue([...getRetryQueue(), item]);
+    return item;
+  }
+
+  async function removeRetryItem(item) {
+    saveRetryQueue(getRetryQueue().filter((entry) => entry.id !== item.id));
+    if (item.filePath) {
+      await fs.unlink(item.filePath).catch(() => {});
+    }
+  }
+
+  async function pendingFromRetryItem(item) {
+    if (item.kind === "torrent") {
+      const fileBuffer = await fs.readFile(item.filePath);
+      let metadata = null;
+      try {
+        metadata = extractTorrentMetadata(fileBuffer);
+      } catch (_error) {
+        metadata = null;
+      }
+      return {
+        kind: "torrent",
+        target: getTarget(item.target).name,
+        fileName: item.fileName,
+        fileBuffer,
+        metadata: metadata || {},
+        selectedFiles: Array.isArray(item.selectedFiles) ? new Set(item.selectedFiles) : undefined,
+      };
+    }
+
+    return {
+      kind: item.kind,
+      target: getTarget(item.target).name,
+      uri: item.uri,
+      metadata: item.kind === "magnet" ? parseMagnetUri(item.uri) : { displayName: filenameFromUrl(item.uri) },
+    };
+  }
+
+  function formatRetryQueued(item) {
+    return `NAS에 연결할 수 없어 재시도 대기열에 추가했습니다. (#${item.id}, 첫 재시도 ${formatDuration(
+      (item.nextAttemptAt - Date.now()) / 1000,
+    )} 후)\n연결되면 자동으로 등록하고 이 채팅에 알려드립니다. /queue 로 확인할 수 있습니다.`;
+  }
+
+  // Tasks to check a resubmission against. An unreachable NAS fails the attempt as usual; any other
+  // error only skips the check.
+  async function tasksForDuplicateCheck(target) {
+    return target.synology
+      .getTaskSnapshot(300)
+      .then((snapshot) => snapshot.tasks || [])
+      .catch((error) => {
+        if (isTransientNasError(error)) throw error;
+        return null;
+      });
+  }
+
+  async function processRetryQueueNow(force = false) {
+    const now = Date.now();
+    const due = getRetryQueue().filter((item) => force || item.nextAttemptAt <= now);
+    const unreachable = new Set();
+
+    for (const item of due) {
+      // The item may have been cancelled with /queue while an earlier one was running.
+      if (!getRetryQueue().some((entry) => entry.id === item.id)) continue;
+      const target = getTarget(item.target);
+      if (unreachable.has(target)) continue;
+
+      let pending = null;
+      try {
+        pending = await pendingFromRetryItem(item);
+        // DSM can create the task and still fail the response (a timeout, a proxy's 5xx).
+        const currentTasks = await tasksForDuplicateCheck(target);
+        const duplicate = currentTasks ? findDuplicateSubmission(pending.metadata.infoHash, currentTasks, target) : null;
+        if (duplicate) {
+          await removeRetryItem(item);
+          await bot.telegram
+            .sendMessage(
+              item.chatId,
+              `재시도 대기열 #${item.id}: 이미 NAS에 등록되어 있어 대기열에서 뺐습니다.\n${shortenText(item.title, 60)}`,
+            )
+            .catch((error) => console.error("[synology-auto-bot] retry notification failed:", error.message));
+          continue;
+        }
+        const result = await submitPendingSubmission(pending, item.destination, item.chatId);
+        await removeRetryItem(item);
+        await bot.telegram
+          .sendMessage(item.chatId, `재시도 대기열 #${item.id} 등록 성공 (${item.attempts + 1}번째 시도)\n${result.text}`)
+          .catch((error) => console.error("[synology-auto-bot] retry notification failed:", error.message));
+      } catch (error) {
+        const attempts = item.attempts + 1;
+        const giveUp = !pending || !isTransientNasError(error) || attempts >= retryMaxAttempts;
+        if (giveUp) {
+          await removeRetryItem(item);
+          await bot.telegram
+            .sendMessage(
+              item.chatId,
+              `재시도 대기열 #${item.id} 포기 (${attempts}번 시도): ${shortenText(item.title, 60)}\n사유: ${error.message}`,
+            )
+            .catch((notifyError) => console.error("[synology-auto-bot] retry notification failed:", notifyError.message));
+          continue;
+        }
+
+        saveRetryQueue(
+          getRetryQueue().map((entry) =>
+            entry.id === item.id
+              ? { ...entry, attempts, nextAttemptAt: Date.now() + retryDelayMs(attempts), lastError: error.message }
+              : entry,
+          ),
+        );
+        synology.debugLog("retry queue attempt failed", {
+          id: item.id,
+          target: target.name,
+          attempts,
+          message: error.message,
+        });
+        // The NAS is still unreachable; leave its other items for the next tick instead of hammering it.
+        unreachable.add(target);
+      }
+    }
+  }
+
+  let retryQueueRunning = false;
+
+  async function runRetryQueue(force = false) {
+    if (retryQueueRunning) return;
+
+    retryQueueRunning = true;
+    try {
+      await processRetryQueueNow(force);
+    } catch (error) {
+      console.error("[synology-auto-bot] retry-queue failed:", error.message);
+    } finally {
+      retryQueueRunning = false;
+    }
+  }
+
+  const RSS_SUBSCRIPTIONS_KEY = "rssSubscriptions";
+
+  const RSS_SEEN_LIMIT = 1000;
+
+  function getRssSubscriptions() {
+    return stateStore.get(RSS_SUBSCRIPTIONS_KEY, []);
+  }
+
+  function updateRssSubscription(id, changes) {
+    stateStore.set(
+      RSS_SUBSCRIPTIONS_KEY,
+      getRssSubscriptions().map((item) => (item.id === id ? { ...item, ...changes } : item)),
+    );
+  }
+
+  function chatRssSubscriptions(chatId) {
+    return getRssSubscriptions().filter((item) => item.chatId === String(chatId));
+  }
+
+  async function pendingFromFeedItem(item) {
+    if (item.magnet) {
+      const metadata = parseMagnetUri(item.magnet);
+      return { kind: "magnet", uri: item.magnet, metadata: { ...metadata, displayName: metadata.displayName || item.title } };
+    }
+
+    const { fileName, fileBuffer } = await fetchTorrentFromUrl(item.torrentUrl);
+    let metadata = null;
+    try {
+      metadata = extractTorrentMetadata(fileBuffer);
+    } catch (_error) {
+      metadata = null;
+    }
+    return { kind: "torrent", fileName, fileBuffer, metadata: metadata || { displayName: item.title } };
+  }
+
+  // Feeds added before multi-NAS support have no target and follow the chat's default NAS.
+  function rssSubscriptionTarget(subscription) {
+    return subscription.target ? getTarget(subscription.target) : chatTarget(subscription.chatId);
+  }
+
+  async function addFeedItem(subscription, item, currentTasks) {
+    const feedLabel = shortenText(subscription.title || subscription.url, 40);
+    const target = rssSubscriptionTarget(subscription);
+    let pending = null;
+    try {
+      pending = { ...(await pendingFromFeedItem(item)), target: target.name };
+      const duplicate = currentTasks ? findDuplicateSubmission(pending.metadata.infoHash, currentTasks, target) : null;
+      if (duplicate) {
+        synology.debugLog("rss item skipped as duplicate", { feed: subscription.url, title: item.title });
+        return;
+      }
+
+      const result = await submitPendingSubmission(pending, "", subscription.chatId);
+      await bot.telegram.sendMessage(
+        subscription.chatId,
+        `RSS 자동 추가 (${feedLabel}): ${shortenText(item.title, 80)}\n${result.text}`,
+      );
+    } catch (error) {
+      if (pending && retryQueueEnabled && isTransientNasError(error)) {
+        const queued = await enqueueRetry(subscription.chatId, pending, "", error).catch(() => null);
+        if (queued) {
+          await bot.telegram
+            .sendMessage(subscription.chatId, `RSS 자동 추가 (${feedLabel}): ${shortenText(item.title, 80)}\n${formatRetryQueued(queued)}`)
+            .catch(() => {});
+          return;
+        }
+      }
+      await bot.telegram
+        .sendMessage(subscription.chatId, `RSS 자동 추가 실패 (${feedLabel}): ${shortenText(item.title, 80)}\n사유: ${error.message}`)
+        .catch(() => {});
+    }
+  }
+
+  async function checkRssSubscription(subscription) {
+    let feed = null;
+    try {
+      feed = await fetchFeed(subscription.url);
+    } catch (error) {
+      updateRssSubscription(subscription.id, { lastCheckedAt: Date.now(), lastError: error.message });
+      throw error;
+    }
+
+    const seen = new Set(subscription.seen || []);
+    // Feeds list newest first; add in publication order.
+    const fresh = feed.items.filter((item) => item.guid && !seen.has(item.guid)).reverse();
+    const matched = fresh.filter((item) => (item.magnet || item.torrentUrl) && feedItemMatches(subscription, item));
+
+    let currentTasks = null;
+    if (matched.length > 0) {
+      currentTasks = await rssSubscriptionTarget(subscription).synology
+        .getTaskSnapshot(300)
+        .then((snapshot) => snapshot.tasks || [])
+        .catch(() => null);
+    }
+
+    for (const item of fresh) {
+      if (matched.includes(item)) {
+        await addFeedItem(subscription, item, currentTasks);
+      }
+      seen.add(item.guid);
+    }
+
+    updateRssSubscription(subscription.id, {
+      title: feed.title || subscription.title,
+      lastCheckedAt: Date.now(),
+      lastError: "",
+      seen: [...seen].slice(-RSS_SEEN_LIMIT),
+    });
+    return { total: feed.items.length, fresh: fresh.length, added: matched.length };
+  }
+
+  async function pollRssNow(force = false) {
+    const now = Date.now();
+    for (const subscription of getRssSubscriptions()) {
+      if (!force && now - (subscription.lastCheckedAt || 0) < subscription.intervalMin * 60 * 1000) continue;
+      try {
+        await checkRssSubscription(subscription);
+      } catch (error) {
+        console.error(`[synology-auto-bot] rss poll failed (${subscription.url}):`, error.message);
+      }
+    }
+  }
+
+  let rssPollRunning = false;
+
+  async function runRssPoll(force = false) {
+    if (rssPollRunning) return;
+
+    rssPollRunning = true;
+    try {
+      await pollRssNow(force);
+    } catch (error) {
+      console.error("[synology-auto-bot] rss poll failed:", error.message);
+    } finally {
+      rssPollRunning = false;
+    }
+  }
+
+  // Items picked up from the inbox are recorded against this chat so completion
+  // notifications and the chat's default destination apply to them.
+  function inboxOwnerChatId() {
+    return inboxNotifyChatId || adminChatIds()[0] || "";
+  }
+
+  // A file left in the inbox after a NAS outage is submitted again on the next scan, so items the
+  // NAS already has (including magnets of the same file that went through before the outage) are
+  // skipped by info hash instead of being added twice. Resolves to how many items were added and skipped.
+  async function submitInboxFile(file) {
+    const ext = path.extname(file.name).toLowerCase();
+    const chatId = inboxOwnerChatId();
+    const target = chatTarget(chatId);
+    const currentTasks = await tasksForDuplicateCheck(target);
+
+    const counts = { added: 0, skipped: 0 };
+
+    async function submitItem(pending) {
+      const duplicate = currentTasks ? findDuplicateSubmission(pending.metadata.infoHash, currentTasks, target) : null;
+      if (duplicate) {
+        synology.debugLog("inbox item skipped as duplicate", { file: file.name, infoHash: pending.metadata.infoHash });
+        counts.skipped += 1;
+        return;
+      }
+      await submitPendingSubmission({ ...pending, target: target.name }, "", chatId);
+      counts.added += 1;
+    }
+
+    if (ext === ".torrent") {
+      const fileBuffer = await fs.readFile(file.filePath);
+      let metadata = null;
+      try {
+        metadata = extractTorrentMetadata(fileBuffer);
+      } catch (_error) {
+        metadata = null;
+      }
+      await submitItem({ kind: "torrent", fileName: file.name, fileBuffer, metadata: metadata || {} });
+      return counts;
+    }
+
+    const magnets = extractMagnets(await fs.readFile(file.filePath, "utf8"));
+    if (magnets.length === 0) {
+      throw new Error("마그넷 링크가 없습니다.");
+    }
+    for (const magnet of magnets) {
+      await submitItem({ kind: "magnet", uri: magnet, metadata: parseMagnetUri(magnet) });
+    }
+    return counts;
+  }
+
+  function formatInboxCounts({ added, skipped }) {
+    if (skipped === 0) return added > 1 ? ` (${added}건)` : "";
+    return ` (등록 ${added}건, 이미 있어 건너뜀 ${skipped}건)`;
+  }
+
+  async function processInboxNow() {
+    const files = await listInboxFiles(inboxDir, inboxSettleSec * 1000);
+    const done = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const file of files) {
+      try {
+        const counts = await submitInboxFile(file);
+        await moveInboxFile(file.filePath, path.join(inboxDir, "done"));
+        (counts.added > 0 ? done : skipped).push({ name: file.name, ...counts });
+      } catch (error) {
+        // Keep the file in the inbox while the NAS is unreachable; it is picked up again next scan.
+        if (isTransientNasError(error)) {
+          console.error(`[synology-auto-bot] inbox: NAS unreachable, will retry ${file.name}:`, error.message);
+          break;
+        }
+        await moveInboxFile(file.filePath, path.join(inboxDir, "failed")).catch((moveError) => {
+          console.error(`[synology-auto-bot] inbox: could not move ${file.name}:`, moveError.message);
+        });
+        failed.push({ name: file.name, reason: error.message });
+      }
+    }
+
+    if (done.length === 0 && skipped.length === 0 && failed.length === 0) return { done, skipped, failed };
+
+    const lines = [`인박스 처리 결과: 등록 ${done.length}건, 건너뜀 ${skipped.length}건, 실패 ${failed.length}건`];
+    done.forEach((item) => lines.push(`✅ ${shortenText(item.name, 60)}${formatInboxCounts(item)}`));
+    skipped.forEach((item) => lines.push(`⏭ ${shortenText(item.name, 60)}: 이미 NAS에 있는 항목`));
+    failed.forEach((item) => lines.push(`❌ ${shortenText(item.name, 60)}: ${item.reason}`));
+    console.log(
+      `[synology-auto-bot] inbox processed: ${done.length} done, ${skipped.length} skipped, ${failed.length} failed`,
+    );
+
+    const text = lines.join("\n");
+    if (inboxNotifyChatId) {
+      await bot.telegram
+        .sendMessage(inboxNotifyChatId, text)
+        .catch((error) => console.error("[synology-auto-bot] inbox summary failed:", error.message));
+    } else {
+      await notifyAdmins(text);
+    }
+    return { done, skipped, failed };
+  }
+
+  let inboxRunning = false;
+
+  async function runInbox() {
+    if (inboxRunning) return;
+
+    inboxRunning = true;
+    try {
+      await processInboxNow();
+    } catch (error) {
+      console.error("[synology-auto-bot] inbox failed:", error.message);
+    } finally {
+      inboxRunning = false;
+    }
+  }
+
+  // Runs the startup passes and starts every periodic job; called once the bot is logged in.
+  async function startJobs() {
+    if (settings.autoStopSeeding) {
+      await runAutoStopSeeding("startup");
+    }
+    scheduleAutoStopSeeding();
+
+    if (settings.autoRemoveFinished) {
+      await runAutoRemoveFinished("startup");
+    }
+    scheduleAutoRemoveFinished();
+
+    if (inboxDir) {
+      await fs.mkdir(inboxDir, { recursive: true });
+      await runInbox();
+      const timer = setInterval(() => {
+        runInbox();
+      }, inboxPollIntervalSec * 1000);
+      if (typeof timer.unref === "function") {
+        timer.unref();
+      }
+      console.log(`[synology-auto-bot] inbox watching ${inboxDir} (interval: ${inboxPollIntervalSec}s)`);
+    } else {
+      console.log("[synology-auto-bot] inbox disabled");
+    }
+
+    const rssTimer = setInterval(() => {
+      runRssPoll();
+    }, 60 * 1000);
+    if (typeof rssTimer.unref === "function") {
+      rssTimer.unref();
+    }
+    console.log(
+      `[synology-auto-bot] rss polling enabled (${getRssSubscriptions().length} subscription(s), default interval: ${rssDefaultIntervalMin}m)`,
+    );
+
+    if (speedLimitSchedule.length > 0) {
+      await runSpeedLimitSchedule();
+      const timer = setInterval(() => {
+        runSpeedLimitSchedule();
+      }, 60 * 1000);
+      if (typeof timer.unref === "function") {
+        timer.unref();
+      }
+      console.log(`[synology-auto-bot] speed-limit-schedule enabled (${speedLimitSchedule.length} window(s))`);
+    }
+
+    await runTaskTracking();
+    const taskTrackingTimer = setInterval(() => {
+      runTaskTracking();
+    }, taskNotifyIntervalSec * 1000);
+    if (typeof taskTrackingTimer.unref === "function") {
+      taskTrackingTimer.unref();
+    }
+    console.log(
+      `[synology-auto-bot] task-notify ${taskNotify ? "enabled" : "disabled"} (tracking interval: ${taskNotifyIntervalSec}s)`,
+    );
+
+    if (retryQueueEnabled) {
+      const timer = setInterval(() => {
+        runRetryQueue();
+      }, 15 * 1000);
+      if (typeof timer.unref === "function") {
+        timer.unref();
+      }
+      console.log(
+        `[synology-auto-bot] retry-queue enabled (${getRetryQueue().length} pending, backoff ${retryBaseDelaySec}s-${retryMaxDelaySec}s, max ${retryMaxAttempts} attempts)`,
+      );
+    } else {
+      console.log("[synology-auto-bot] retry-queue disabled");
+    }
+
+    if (progressUpdates) {
+      const timer = setInterval(() => {
+        runProgressUpdates();
+      }, progressUpdateIntervalSec * 1000);
+      if (typeof timer.unref === "function") {
+        timer.unref();
+      }
+      console.log(
+        `[synology-auto-bot] progress-updates enabled (interval: ${progressUpdateIntervalSec}s, timeout: ${progressTimeoutMin}m)`,
+      );
+    } else {
+      console.log("[synology-auto-bot] progress-updates disabled");
+    }
+
+    for (const target of targets) {
+      const scope = multiTarget ? ` (${target.name})` : "";
+      const { torrentWatchDir } = target.synology;
+      if (torrentWatchDir) {
+        console.log(`[synology-auto-bot] torrent watch-folder fallback${scope} enabled: ${torrentWatchDir}`);
+      } else {
+        console.log(`[synology-auto-bot] torrent watch-folder fallback${scope} disabled`);
+      }
+    }
+  }
+
+  return {
+    removeFinishedTasksNow,
+    readSpeedLimits,
+    applySpeedLimits,
+    applySpeedLimitScheduleNow,
+    applySetting,
+    getRetryQueue,
+    enqueueRetry,
+    removeRetryItem,
+    formatRetryQueued,
+    runRetryQueue,
+    RSS_SUBSCRIPTIONS_KEY,
+    RSS_SEEN_LIMIT,
+    getRssSubscriptions,
+    updateRssSubscription,
+    chatRssSubscriptions,
+    rssSubscriptionTarget,
+    checkRssSubscription,
+    processInboxNow,
+    startJobs,
+  };
+}
+
+module.exports = { createJobs };
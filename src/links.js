@@ -0,0 +1,100 @@
+const path = require("path");
+const axios = require("axios");
+
+function extractMagnets(text) {
+  if (!text) return [];
+  const regex = /magnet:\?xt=urn:[^\s<>"']+/gi;
+  const matches = text.match(regex) || [];
+  return [...new Set(matches)];
+}
+
+function extractDownloadLinks(text, extraUrls = []) {
+  const regex = /(?:https?|ftps?):\/\/[^\s<>"']+|ed2k:\/\/\|file\|[^\s<>"']+/gi;
+  const candidates = [...((text || "").match(regex) || []), ...extraUrls];
+  const links = candidates
+    .map((link) => String(link || "").trim())
+    // Trailing punctuation usually belongs to the surrounding sentence, not the link.
+    .map((link) => (link.startsWith("ed2k:") ? link : link.replace(/[),.;!?]+$/, "")))
+    .filter((link) => /^(?:https?|ftps?|ed2k):/i.test(link));
+  return [...new Set(links)];
+}
+
+function isTorrentUrlPath(uri) {
+  try {
+    return new URL(uri).pathname.toLowerCase().endsWith(".torrent");
+  } catch (_error) {
+    return false;
+  }
+}
+
+function filenameFromContentDisposition(header) {
+  const value = String(header || "");
+  const encoded = /filename\*=(?:UTF-8'')?([^;]+)/i.exec(value);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ""));
+    } catch (_error) {
+      // Fall through to the plain filename parameter.
+    }
+  }
+  const plain = /filename="?([^";]+)"?/i.exec(value);
+  return plain ? plain[1].trim() : "";
+}
+
+function filenameFromUrl(uri) {
+  try {
+    const base = path.posix.basename(new URL(uri).pathname);
+    return decodeURIComponent(base);
+  } catch (_error) {
+    return "";
+  }
+}
+
+// Tells a link apart with a HEAD request: "torrent" for a .torrent file, "page" for a web page, and
+// "file" for anything else (including links the server would not describe) to download directly.
+async function probeLinkKind(uri) {
+  if (isTorrentUrlPath(uri)) return "torrent";
+  if (!/^https?:/i.test(uri)) return "file";
+
+  try {
+    const response = await axios.head(uri, { timeout: 5000, maxRedirects: 5, validateStatus: () => true });
+    const contentType = String(response.headers?.["content-type"] || "").toLowerCase();
+    const disposition = filenameFromContentDisposition(response.headers?.["content-disposition"]);
+    if (contentType.includes("bittorrent") || disposition.toLowerCase().endsWith(".torrent")) return "torrent";
+    if (!disposition && /^(text\/html|application\/xhtml\+xml)\b/.test(contentType)) return "page";
+    return "file";
+  } catch (_error) {
+    return "file";
+  }
+}
+
+async function fetchTorrentFromUrl(uri) {
+  const response = await axios.get(uri, {
+    responseType: "arraybuffer",
+    timeout: 20000,
+    maxRedirects: 5,
+    maxBodyLength: 20 * 1024 * 1024,
+    maxContentLength: 20 * 1024 * 1024,
+  });
+
+  const fileBuffer = Buffer.from(response.data);
+  if (fileBuffer.length === 0 || fileBuffer[0] !== 0x64) {
+    throw new Error("받은 데이터가 토렌트 파일 형식이 아닙니다.");
+  }
+
+  let fileName =
+    filenameFromContentDisposition(response.headers?.["content-disposition"]) || filenameFromUrl(uri) || "";
+  if (!fileName.toLowerCase().endsWith(".torrent")) {
+    fileName = `${fileName || `download_${Date.now()}`}.torrent`;
+  }
+  return { fileName, fileBuffer };
+}
+
+module.exports = {
+  extractMagnets,
+  extractDownloadLinks,
+  isTorrentUrlPath,
+  filenameFromUrl,
+  probeLinkKind,
+  fetchTorrentFromUrl,
+};
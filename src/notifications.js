@@ -0,0 +1,82 @@
+const { toNumber, formatBytes, formatDuration, shortenText } = require("./util");
+const { taskSize, taskDestination, isCompletedTask } = require("./tasks");
+
+// Telegram messages sent outside of a command reply: admin alerts and submitter notices.
+function createNotifications(app) {
+  const { bot, stateStore, multiTarget, getTarget } = app;
+  const { roleConfig, taskNotify } = app.config;
+
+  function adminChatIds() {
+    return [...roleConfig.roles].filter(([, role]) => role === "admin").map(([id]) => id);
+  }
+
+  async function notifyAdmins(text, { exceptChatId } = {}) {
+    for (const chatId of adminChatIds()) {
+      if (exceptChatId !== undefined && chatId === String(exceptChatId)) continue;
+      await bot.telegram
+        .sendMessage(chatId, text)
+        .catch((error) => console.error(`[synology-auto-bot] admin notification to ${chatId} failed:`, error.message));
+    }
+  }
+
+  function formatTaskCompletion(task, record) {
+    const target = getTarget(record.target);
+    const detail = task?.additional?.detail || {};
+    const createdSec = toNumber(detail.create_time, 0);
+    const completedSec = toNumber(detail.completed_time, 0);
+    const elapsedSec =
+      createdSec > 0 && completedSec >= createdSec
+        ? completedSec - createdSec
+        : (Date.now() - record.submittedAt) / 1000;
+
+    return [
+      `다운로드 완료: ${shortenText(task.title || record.title, 80)}`,
+      multiTarget ? `- NAS: ${target.label}` : "",
+      `- 크기: ${formatBytes(taskSize(task))}`,
+      `- 소요 시간: ${formatDuration(elapsedSec)}`,
+      `- 저장 위치: ${taskDestination(task) || record.destination || target.synology.destination || "기본 경로"}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  async function notifySubmitter(record, text) {
+    if (!taskNotify || !record.chatId) return;
+    try {
+      await bot.telegram.sendMessage(record.chatId, text);
+    } catch (error) {
+      console.error("[synology-auto-bot] task notification failed:", error.message);
+    }
+  }
+
+  async function notifyTaskRemoved(task, trigger, target) {
+    const record = stateStore.findSubmissionByTaskId(task?.id, target.name);
+    if (!record || record.closedAt) return;
+
+    const completed = isCompletedTask(task);
+    const lines = [];
+    if (!record.notifiedDone && completed) {
+      lines.push(formatTaskCompletion(task, record));
+    } else {
+      lines.push(`작업: ${shortenText(task.title || record.title, 80)}`);
+    }
+    const triggerLabels = {
+      command: "- /clean 으로 목록에서 삭제되었습니다.",
+      delete: "- /delete 로 목록에서 삭제되었습니다.",
+    };
+    lines.push(triggerLabels[trigger] || "- 완료 항목 자동 정리로 목록에서 삭제되었습니다.");
+
+    stateStore.updateSubmission(record, {
+      closedAt: Date.now(),
+      finishedAt: record.finishedAt || (completed ? Date.now() : null),
+      finalStatus: completed ? "finished" : String(task.status || record.lastStatus || ""),
+      removedBy: triggerLabels[trigger] ? trigger : "auto",
+      notifiedDone: record.notifiedDone || completed,
+    });
+    await notifySubmitter(record, lines.join("\n"));
+  }
+
+  return { adminChatIds, notifyAdmins, formatTaskCompletion, notifySubmitter, notifyTaskRemoved };
+}
+
+module.exports = { createNotifications };
@@ -0,0 +1,61 @@
+// Asks admins in Telegram for the NAS 2-step verification code when DSM requires one.
+function createOtpPrompt(app) {
+  const { notifyAdmins, adminChatIds, targetTag } = app;
+  const { otpTimeoutSec } = app.config;
+
+  let pendingOtp = null;
+  let otpQueue = Promise.resolve();
+
+  // Several NAS targets can need a code at the same time; ask for them one after another
+  // so a reply is never taken for the wrong box.
+  function requestOtpCode(options = {}) {
+    const request = otpQueue.then(() => askOtpCode(options));
+    otpQueue = request.catch(() => {});
+    return request;
+  }
+
+  function askOtpCode({ invalid = false, target = null } = {}) {
+    if (adminChatIds().length === 0) {
+      return Promise.reject(new Error("2단계 인증 코드를 물어볼 관리자(BOT_ADMIN_IDS)가 없습니다."));
+    }
+
+    let resolveCode;
+    let rejectCode;
+    const promise = new Promise((resolve, reject) => {
+      resolveCode = resolve;
+      rejectCode = reject;
+    });
+    const timer = setTimeout(() => {
+      pendingOtp = null;
+      rejectCode(new Error(`${otpTimeoutSec}초 안에 2단계 인증 코드를 받지 못했습니다.`));
+    }, otpTimeoutSec * 1000);
+    pendingOtp = {
+      resolve(code) {
+        clearTimeout(timer);
+        pendingOtp = null;
+        resolveCode(code);
+      },
+    };
+
+    notifyAdmins(
+      [
+        `${target ? targetTag(target) : ""}${
+          invalid ? "입력한 2단계 인증 코드가 맞지 않습니다. 새 코드를 보내 주세요." : "NAS 로그인에 2단계 인증 코드가 필요합니다."
+        }`,
+        `인증 앱의 6자리 코드를 ${otpTimeoutSec}초 안에 이 채팅에 보내 주세요.`,
+        "한 번 인증하면 이 봇을 신뢰할 수 있는 기기로 등록해 다음 로그인부터는 묻지 않습니다.",
+      ].join("\n"),
+    );
+    return promise;
+  }
+
+  function resolveOtpCode(code) {
+    if (!pendingOtp) return false;
+    pendingOtp.resolve(code);
+    return true;
+  }
+
+  return { requestOtpCode, resolveOtpCode };
+}
+
+module.exports = { createOtpPrompt };
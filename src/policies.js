@@ -0,0 +1,232 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { normalizeDestination, toNumber, formatDuration, parseSize } = require("./util");
+const {
+  taskStatusLabel,
+  taskSortTime,
+  taskSize,
+  taskDownloaded,
+  taskDestination,
+  isCompletedTask,
+  taskTrackerHosts,
+} = require("./tasks");
+
+function normalizeSeedingRule(raw, fallback = {}) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const pick = (key) => Math.max(0, toNumber(source[key], toNumber(fallback[key], 0)));
+  return {
+    ratio: pick("ratio"),
+    seedHours: pick("seedHours"),
+    minSeedHours: pick("minSeedHours"),
+  };
+}
+
+async function loadSeedingPolicy(options = {}) {
+  const defaults = normalizeSeedingRule({
+    ratio: options.defaultRatio,
+    seedHours: options.defaultSeedHours,
+  });
+  const policy = { default: defaults, trackers: [] };
+
+  const filePath = String(options.filePath || "").trim();
+  if (!filePath) {
+    return policy;
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`시딩 정책 파일을 읽지 못했습니다 (${filePath}): ${error.message}`);
+  }
+
+  policy.default = normalizeSeedingRule(parsed?.default, defaults);
+  policy.trackers = (Array.isArray(parsed?.trackers) ? parsed.trackers : [])
+    .map((item) => ({
+      host: String(item?.host || "").trim().toLowerCase(),
+      ...normalizeSeedingRule(item),
+    }))
+    .filter((item) => item.host);
+  return policy;
+}
+
+function resolveSeedingRule(policy, task) {
+  const hosts = taskTrackerHosts(task);
+  for (const rule of policy.trackers) {
+    const matchedHost = hosts.find((host) => host === rule.host || host.endsWith(`.${rule.host}`));
+    if (matchedHost) {
+      return { rule, source: rule.host };
+    }
+  }
+  return { rule: policy.default, source: "default" };
+}
+
+function evaluateSeedingPolicy(policy, task) {
+  const { rule, source } = resolveSeedingRule(policy, task);
+  const uploaded = toNumber(task?.additional?.transfer?.size_uploaded, 0);
+  const base = Math.max(taskDownloaded(task), taskSize(task));
+  const ratio = base > 0 ? uploaded / base : 0;
+
+  const detail = task?.additional?.detail || {};
+  let seedSec = toNumber(detail.seedelapsed, 0);
+  const completedSec = toNumber(detail.completed_time, 0);
+  if (seedSec <= 0 && completedSec > 0) {
+    seedSec = Math.max(0, Date.now() / 1000 - completedSec);
+  }
+  const seedHours = seedSec / 3600;
+
+  let met = seedHours >= rule.minSeedHours;
+  if (met && (rule.ratio > 0 || rule.seedHours > 0)) {
+    const ratioMet = rule.ratio > 0 && ratio >= rule.ratio;
+    const timeMet = rule.seedHours > 0 && seedHours >= rule.seedHours;
+    met = ratioMet || timeMet;
+  }
+
+  return { met, ratio, seedHours, rule, source };
+}
+
+function formatSeedingRule(rule) {
+  const parts = [];
+  if (rule.ratio > 0) parts.push(`비율 ${rule.ratio}`);
+  if (rule.seedHours > 0) parts.push(`${rule.seedHours}시간`);
+  const target = parts.length > 0 ? `${parts.join(" 또는 ")} 도달 시` : "즉시";
+  return rule.minSeedHours > 0 ? `${target} (최소 ${rule.minSeedHours}시간)` : target;
+}
+
+function isProtectedDestination(destination, protectedDirs) {
+  const target = normalizeDestination(destination).toLowerCase();
+  if (!target) return false;
+  return protectedDirs.some((dir) => {
+    const protectedDir = normalizeDestination(dir).toLowerCase();
+    return protectedDir && (target === protectedDir || target.startsWith(`${protectedDir}/`));
+  });
+}
+
+function planTaskCleanup(tasks, rules, options = {}) {
+  const now = toNumber(options.now, Date.now());
+  const isSeedingDue = typeof options.isSeedingDue === "function" ? options.isSeedingDue : () => true;
+  const completedAtMs =
+    typeof options.completedAtMs === "function" ? options.completedAtMs : (task) => taskSortTime(task) * 1000;
+  const remove = [];
+  const keep = [];
+
+  const completed = tasks
+    .filter((task) => isCompletedTask(task))
+    .map((task) => ({ task, completedAt: completedAtMs(task) }))
+    .sort((a, b) => b.completedAt - a.completedAt);
+
+  let latestKept = 0;
+  completed.forEach(({ task, completedAt }) => {
+    if (isProtectedDestination(taskDestination(task), rules.protectedDirs)) {
+      keep.push({ task, reason: "protected", label: "보호 폴더" });
+    } else if (task.status === "seeding" && !isSeedingDue(task)) {
+      keep.push({ task, reason: "seeding_policy", label: "시딩 정책 미충족" });
+    } else if (latestKept < rules.keepLatest) {
+      latestKept += 1;
+      keep.push({ task, reason: "keep_latest", label: `최근 완료 ${rules.keepLatest}건 보관` });
+    } else if (rules.keepHours > 0 && now - completedAt < rules.keepHours * 3600 * 1000) {
+      const remainSec = (completedAt + rules.keepHours * 3600 * 1000 - now) / 1000;
+      keep.push({ task, reason: "keep_hours", label: `보관 시간 ${formatDuration(remainSec)} 남음` });
+    } else {
+      remove.push({ task, reason: "completed", label: taskStatusLabel(task.status) });
+    }
+  });
+
+  if (rules.errorAfterDays > 0) {
+    for (const task of tasks.filter((item) => item.status === "error")) {
+      const createdAt = taskSortTime(task) * 1000;
+      if (isProtectedDestination(taskDestination(task), rules.protectedDirs)) {
+        keep.push({ task, reason: "protected", label: "보호 폴더" });
+      } else if (createdAt > 0 && now - createdAt >= rules.errorAfterDays * 86400 * 1000) {
+        remove.push({ task, reason: "error", label: `오류 ${rules.errorAfterDays}일 경과` });
+      }
+    }
+  }
+
+  return { remove, keep };
+}
+
+async function loadCategoryRules(filePath) {
+  const target = String(filePath || "").trim();
+  if (!target) return [];
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(await fs.readFile(target, "utf8"));
+  } catch (error) {
+    throw new Error(`분류 규칙 파일을 읽지 못했습니다 (${target}): ${error.message}`);
+  }
+
+  const rawRules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  return (Array.isArray(rawRules) ? rawRules : []).map((raw, index) => {
+    const name = String(raw?.name || `rule${index + 1}`);
+    const destination = normalizeDestination(raw?.destination);
+    if (!destination) {
+      throw new Error(`분류 규칙 '${name}'에 destination이 없습니다.`);
+    }
+
+    const match = raw?.match && typeof raw.match === "object" ? raw.match : {};
+    let namePattern = null;
+    if (match.name) {
+      try {
+        namePattern = new RegExp(String(match.name), "i");
+      } catch (error) {
+        throw new Error(`분류 규칙 '${name}'의 name 정규식이 잘못되었습니다: ${error.message}`);
+      }
+    }
+
+    const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+    return {
+      name,
+      destination,
+      namePattern,
+      trackers: toList(match.tracker).map((host) => String(host).trim().toLowerCase()).filter(Boolean),
+      extensions: toList(match.extensions).map((ext) => String(ext).trim().toLowerCase().replace(/^\./, "")),
+      minSize: parseSize(match.minSize),
+      maxSize: parseSize(match.maxSize),
+    };
+  });
+}
+
+function matchCategoryRule(rules, metadata = {}) {
+  const displayName = String(metadata.displayName || "");
+  const totalSize = toNumber(metadata.totalSize, 0);
+  const files = Array.isArray(metadata.files) ? metadata.files : [];
+  const largestFile = files.reduce((max, file) => (!max || file.length > max.length ? file : max), null);
+  const extension = path.posix.extname(largestFile?.path || displayName).toLowerCase().replace(/^\./, "");
+  const hosts = (Array.isArray(metadata.trackers) ? metadata.trackers : [])
+    .map((tracker) => {
+      try {
+        return new URL(tracker).hostname.toLowerCase();
+      } catch (_error) {
+        return "";
+      }
+    })
+    .filter(Boolean);
+
+  return (
+    rules.find((rule) => {
+      if (rule.namePattern && !rule.namePattern.test(displayName)) return false;
+      if (
+        rule.trackers.length > 0 &&
+        !hosts.some((host) => rule.trackers.some((item) => host === item || host.endsWith(`.${item}`)))
+      ) {
+        return false;
+      }
+      if (rule.extensions.length > 0 && !rule.extensions.includes(extension)) return false;
+      // Unknown size (magnet without xl) cannot satisfy a size condition.
+      if (rule.minSize > 0 && !(totalSize >= rule.minSize)) return false;
+      if (rule.maxSize > 0 && !(totalSize > 0 && totalSize <= rule.maxSize)) return false;
+      return true;
+    }) || null
+  );
+}
+
+module.exports = {
+  loadSeedingPolicy,
+  evaluateSeedingPolicy,
+  formatSeedingRule,
+  planTaskCleanup,
+  loadCategoryRules,
+  matchCategoryRule,
+};
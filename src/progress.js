@@ -0,0 +1,134 @@
+const { toNumber, isMessageNotModifiedError } = require("./util");
+const { taskErrorDetail, isCompletedTask, formatTaskProgress } = require("./tasks");
+
+// Live progress messages that are edited in place while a submitted task downloads.
+function createProgressTracker(app) {
+  const { bot, synology, targets, getTarget } = app;
+  const { progressUpdates, progressTimeoutMin } = app.config;
+
+  // key "chatId:messageId" -> { chatId, messageId, taskId, target, baseText, startedAt, lastText, finalText }
+  const progressWatchers = new Map();
+
+  let progressPausedUntil = 0;
+
+  function watchTaskProgress(chatId, messageId, taskId, baseText, target) {
+    if (!progressUpdates) return;
+    progressWatchers.set(`${chatId}:${messageId}`, {
+      chatId: String(chatId),
+      messageId,
+      taskId: String(taskId),
+      target: target.name,
+      baseText,
+      startedAt: Date.now(),
+      lastText: baseText,
+    });
+  }
+
+  // Resolves to false only when Telegram asked to slow down and the text still has to be written.
+  async function editProgressMessage(watcher, text) {
+    if (text === watcher.lastText) return true;
+    try {
+      await bot.telegram.editMessageText(watcher.chatId, watcher.messageId, undefined, text);
+      watcher.lastText = text;
+    } catch (error) {
+      if (isMessageNotModifiedError(error)) {
+        watcher.lastText = text;
+        return true;
+      }
+      const retryAfterSec = toNumber(error?.parameters?.retry_after, 0);
+      if (retryAfterSec > 0) {
+        // Back off every watcher; Telegram limits edits per chat and per bot.
+        progressPausedUntil = Date.now() + retryAfterSec * 1000;
+        return false;
+      }
+      // The message was deleted or became uneditable; stop watching it.
+      progressWatchers.delete(`${watcher.chatId}:${watcher.messageId}`);
+      synology.debugLog("progress message edit failed", { taskId: watcher.taskId, message: error.message });
+    }
+    return true;
+  }
+
+  async function updateProgressMessagesNow() {
+    if (progressWatchers.size === 0 || Date.now() < progressPausedUntil) return;
+
+    // One snapshot per NAS that has watchers; a NAS that cannot be reached skips this tick.
+    const tasksByTarget = new Map();
+    for (const target of targets) {
+      if (![...progressWatchers.values()].some((watcher) => getTarget(watcher.target) === target)) continue;
+      try {
+        const snapshot = await target.synology.getTaskSnapshot(300);
+        tasksByTarget.set(target, new Map((snapshot.tasks || []).map((task) => [String(task.id || "").trim(), task])));
+      } catch (error) {
+        console.error(`[synology-auto-bot] progress-update failed (${target.name}):`, error.message);
+      }
+    }
+    const editedChats = new Set();
+    const now = Date.now();
+    const timeText = new Date(now).toLocaleTimeString("ko-KR", { hour12: false });
+
+    for (const [key, watcher] of [...progressWatchers]) {
+      // At most one edit per chat per tick keeps group chats under Telegram's per-chat limit.
+      if (editedChats.has(watcher.chatId)) continue;
+      if (Date.now() < progressPausedUntil) break;
+
+      // A final text that was rate-limited is written as it was, even if the task has changed since.
+      if (watcher.finalText) {
+        editedChats.add(watcher.chatId);
+        if (await editProgressMessage(watcher, watcher.finalText)) progressWatchers.delete(key);
+        continue;
+      }
+
+      const tasksById = tasksByTarget.get(getTarget(watcher.target));
+      if (!tasksById) continue;
+      const task = tasksById.get(watcher.taskId);
+      let footer = "";
+      let done = true;
+      if (!task) {
+        footer = "진행 표시 종료: 작업이 목록에서 사라졌습니다.";
+      } else if (isCompletedTask(task)) {
+        footer = `${formatTaskProgress(task)}\n진행 표시 종료: 다운로드 완료`;
+      } else if (task.status === "error") {
+        const errorDetail = taskErrorDetail(task);
+        footer = `${formatTaskProgress(task)}\n진행 표시 종료: 오류${errorDetail ? ` (${errorDetail})` : ""}`;
+      } else if (now - watcher.startedAt > progressTimeoutMin * 60 * 1000) {
+        footer = `${formatTaskProgress(task)}\n진행 표시 종료: ${progressTimeoutMin}분 경과 (/task 로 확인하세요)`;
+      } else {
+        footer = `진행 상황 (${timeText} 갱신)\n${formatTaskProgress(task)}`;
+        done = false;
+      }
+
+      editedChats.add(watcher.chatId);
+      const text = `${watcher.baseText}\n\n${footer}`;
+      const written = await editProgressMessage(watcher, text);
+      if (done && written) {
+        progressWatchers.delete(key);
+      } else if (done) {
+        // Keep the watcher until the final text is on the message; the next tick retries it.
+        watcher.finalText = text;
+      } else if (progressWatchers.has(key)) {
+        // Move to the back so other watchers in the same chat get their turn next tick.
+        progressWatchers.delete(key);
+        progressWatchers.set(key, watcher);
+      }
+    }
+  }
+
+  let progressUpdateRunning = false;
+
+  async function runProgressUpdates() {
+    if (progressUpdateRunning) return;
+
+    progressUpdateRunning = true;
+    try {
+      await updateProgressMessagesNow();
+    } catch (error) {
+      console.error("[synology-auto-bot] progress-update failed:", error.message);
+    } finally {
+      progressUpdateRunning = false;
+    }
+  }
+
+  return { watchTaskProgress, runProgressUpdates };
+}
+
+module.exports = { createProgressTracker };
@@ -0,0 +1,54 @@
+const { parseBoolean, parseCommaList } = require("./util");
+
+const BOT_ROLES = ["viewer", "submitter", "admin"];
+const BOT_ROLE_LABELS = {
+  viewer: "조회",
+  submitter: "등록",
+  admin: "관리",
+};
+
+function parseRoleConfig(env) {
+  const roles = new Map();
+  const grant = (raw, role) => {
+    for (const id of parseCommaList(raw)) {
+      const current = roles.get(id);
+      if (!current || BOT_ROLES.indexOf(role) > BOT_ROLES.indexOf(current)) {
+        roles.set(id, role);
+      }
+    }
+  };
+
+  grant(env.BOT_VIEWER_IDS, "viewer");
+  grant(env.BOT_SUBMITTER_IDS, "submitter");
+  grant(env.BOT_ADMIN_IDS, "admin");
+  // Chats listed in the legacy variable keep the full access they always had.
+  grant(env.TELEGRAM_ALLOWED_CHAT_IDS, "admin");
+
+  return {
+    roles,
+    openMode: parseBoolean(env.BOT_OPEN_MODE, false),
+  };
+}
+
+// Group chats are shared, so a role can come from the chat itself or from the
+// user who sent the message/pressed the button; the stronger one wins.
+function resolveRole(roleConfig, chatId, userId) {
+  if (roleConfig.openMode && roleConfig.roles.size === 0) return "admin";
+
+  let best = null;
+  for (const id of [chatId, userId]) {
+    if (id === undefined || id === null) continue;
+    const role = roleConfig.roles.get(String(id));
+    if (role && (!best || BOT_ROLES.indexOf(role) > BOT_ROLES.indexOf(best))) {
+      best = role;
+    }
+  }
+  return best;
+}
+
+function hasRole(role, required) {
+  if (!role) return false;
+  return BOT_ROLES.indexOf(role) >= BOT_ROLES.indexOf(required);
+}
+
+module.exports = { BOT_ROLE_LABELS, parseRoleConfig, resolveRole, hasRole };
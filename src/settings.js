@@ -0,0 +1,43 @@
+const { formatDuration } = require("./util");
+
+const RUNTIME_SETTINGS = [
+  { key: "autoStopSeeding", code: "ss", label: "자동 시딩 중지", type: "boolean" },
+  { key: "autoStopSeedingIntervalSec", code: "ssi", label: "시딩 중지 주기", type: "interval" },
+  { key: "autoRemoveFinished", code: "rf", label: "완료 항목 자동 정리", type: "boolean" },
+  { key: "autoRemoveFinishedIntervalSec", code: "rfi", label: "자동 정리 주기", type: "interval" },
+  { key: "watchImportStrict", code: "ws", label: "워치 폴더 strict", type: "boolean" },
+];
+
+const SETTING_INTERVAL_CHOICES_SEC = [10, 30, 60, 300, 900, 1800, 3600];
+const MIN_SETTING_INTERVAL_SEC = 5;
+
+// Keeps only overrides that are known and well-formed, so a hand-edited state
+// file cannot switch a timer to NaN or a boolean to a string.
+function sanitizeSettingOverrides(raw) {
+  const overrides = {};
+  if (!raw || typeof raw !== "object") return overrides;
+
+  for (const setting of RUNTIME_SETTINGS) {
+    const value = raw[setting.key];
+    if (setting.type === "boolean" && typeof value === "boolean") {
+      overrides[setting.key] = value;
+    }
+    if (setting.type === "interval" && Number.isFinite(value) && value >= MIN_SETTING_INTERVAL_SEC) {
+      overrides[setting.key] = Math.round(value);
+    }
+  }
+  return overrides;
+}
+
+function formatSettingValue(setting, value) {
+  if (setting.type === "boolean") return value ? "ON" : "OFF";
+  return formatDuration(value);
+}
+
+module.exports = {
+  RUNTIME_SETTINGS,
+  SETTING_INTERVAL_CHOICES_SEC,
+  MIN_SETTING_INTERVAL_SEC,
+  sanitizeSettingOverrides,
+  formatSettingValue,
+};
@@ -0,0 +1,126 @@
+const { toNumber, formatSpeed, parseSize } = require("./util");
+
+// Download Station config keys (KB/s, 0 = unlimited) touched by /limit. Keys the
+// NAS does not report (e.g. eMule disabled) are left alone.
+const SPEED_LIMIT_DOWNLOAD_KEYS = ["bt_max_download", "http_max_download", "ftp_max_download", "nzb_max_download", "emule_max_download"];
+const SPEED_LIMIT_UPLOAD_KEYS = ["bt_max_upload", "emule_max_upload"];
+
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_LABELS = ["일", "월", "화", "수", "목", "금", "토"];
+const WEEKDAY_ALIASES = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  "*": [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+};
+
+// A bare number is KB/s (the unit Download Station uses); otherwise a size with unit, e.g. 2MB, 500K.
+function parseSpeedLimit(value) {
+  const raw = String(value || "")
+    .trim()
+    .replace(/\/s$/i, "");
+  if (/^(off|none|unlimited|무제한)$/i.test(raw)) return 0;
+  if (/^\d+$/.test(raw)) return Number(raw);
+  if (!/^[\d.]+\s*[KMGT]i?B?$/i.test(raw)) return null;
+  return Math.round(parseSize(raw) / 1024);
+}
+
+function formatSpeedLimit(kbPerSec) {
+  const value = toNumber(kbPerSec, 0);
+  return value > 0 ? formatSpeed(value * 1024) : "무제한";
+}
+
+function parseWeekdays(raw) {
+  const days = new Set();
+  for (const part of String(raw || "").toLowerCase().split(",")) {
+    const token = part.trim();
+    if (WEEKDAY_ALIASES[token]) {
+      WEEKDAY_ALIASES[token].forEach((day) => days.add(day));
+      continue;
+    }
+
+    const [from, to] = token.split("-").map((name) => WEEKDAY_NAMES.indexOf(name.slice(0, 3)));
+    if (from < 0 || (to !== undefined && to < 0)) {
+      throw new Error(`요일을 이해하지 못했습니다: ${part}`);
+    }
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return days;
+}
+
+function parseClock(raw) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(raw || "").trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`시간 형식은 HH:MM 입니다: ${raw}`);
+  }
+  return Math.min(24 * 60, Number(match[1]) * 60 + Number(match[2]));
+}
+
+// "mon-fri 09:00-18:00 2MB 1MB; sat,sun 10:00-12:00 500K" → entries checked in order.
+// Outside every window the limits are lifted.
+function parseSpeedLimitSchedule(raw) {
+  return String(raw || "")
+    .split(";")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [daysRaw, rangeRaw, downRaw, upRaw] = part.split(/\s+/);
+      const [startRaw, endRaw] = String(rangeRaw || "").split("-");
+      const down = parseSpeedLimit(downRaw);
+      const up = upRaw === undefined ? 0 : parseSpeedLimit(upRaw);
+      if (down === null || up === null) {
+        throw new Error(`속도 제한 일정 형식 오류: ${part} (예: mon-fri 09:00-18:00 2MB 1MB)`);
+      }
+
+      const entry = {
+        days: parseWeekdays(daysRaw),
+        startMin: parseClock(startRaw),
+        endMin: parseClock(endRaw),
+        down,
+        up,
+      };
+      if (entry.startMin === entry.endMin) {
+        throw new Error(`속도 제한 일정의 시작/종료 시간이 같습니다: ${part}`);
+      }
+      return entry;
+    });
+}
+
+function activeScheduleEntryIndex(schedule, date = new Date()) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+
+  return schedule.findIndex((entry) => {
+    if (entry.startMin < entry.endMin) {
+      return entry.days.has(day) && minute >= entry.startMin && minute < entry.endMin;
+    }
+    // Overnight window (e.g. 22:00-06:00) belongs to the day it starts on.
+    return (entry.days.has(day) && minute >= entry.startMin) || (entry.days.has((day + 6) % 7) && minute < entry.endMin);
+  });
+}
+
+function formatScheduleEntry(entry) {
+  const days = [...entry.days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map((day) => WEEKDAY_LABELS[day]);
+  const clock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+  return `${days.length === 7 ? "매일" : days.join("")} ${clock(entry.startMin)}-${clock(entry.endMin)} ↓${formatSpeedLimit(
+    entry.down,
+  )} ↑${formatSpeedLimit(entry.up)}`;
+}
+
+module.exports = {
+  SPEED_LIMIT_DOWNLOAD_KEYS,
+  SPEED_LIMIT_UPLOAD_KEYS,
+  parseSpeedLimit,
+  formatSpeedLimit,
+  parseSpeedLimitSchedule,
+  activeScheduleEntryIndex,
+  formatScheduleEntry,
+};
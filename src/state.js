@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { toNumber } = require("./util");
+
+class BotStateStore {
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.historyLimit = Math.max(50, toNumber(options.historyLimit, 500));
+    this.debug = Boolean(options.debug);
+    // Submissions recorded before multi-NAS support carry no target and belong to this one.
+    this.defaultTarget = options.defaultTarget || "";
+    this.data = BotStateStore.emptyState();
+    this.saveTimer = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  static emptyState() {
+    return { version: 1, submissions: [], values: {} };
+  }
+
+  debugLog(...args) {
+    if (!this.debug) return;
+    console.log("[synology-auto-bot]", ...args);
+  }
+
+  async load() {
+    let raw = "";
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw new Error(`상태 파일 읽기 실패 (${this.filePath}): ${error.message}`);
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      this.data = {
+        ...BotStateStore.emptyState(),
+        ...parsed,
+        submissions: Array.isArray(parsed?.submissions) ? parsed.submissions : [],
+        values: parsed?.values && typeof parsed.values === "object" ? parsed.values : {},
+      };
+    } catch (error) {
+      // Keep the broken file for inspection instead of silently overwriting it.
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.rename(this.filePath, backupPath).catch(() => {});
+      console.error(`[synology-auto-bot] state file is corrupt, moved to ${backupPath}: ${error.message}`);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) => {
+        console.error("[synology-auto-bot] state save failed:", error.message);
+      });
+    }, 500);
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const snapshot = JSON.stringify(this.data, null, 2);
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.part`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, this.filePath);
+        this.debugLog("state saved", { filePath: this.filePath, submissions: this.data.submissions.length });
+      });
+    return this.writeChain;
+  }
+
+  get(key, fallback = null) {
+    const value = this.data.values[key];
+    return value === undefined ? fallback : value;
+  }
+
+  set(key, value) {
+    if (value === undefined) {
+      delete this.data.values[key];
+    } else {
+      this.data.values[key] = value;
+    }
+    this.scheduleSave();
+  }
+
+  addSubmission(record) {
+    const now = Date.now();
+    const submission = {
+      id: crypto.randomBytes(6).toString("hex"),
+      taskId: "",
+      chatId: "",
+      infoHash: "",
+      method: "",
+      title: "",
+      destination: "",
+      target: this.defaultTarget,
+      submittedAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      closedAt: null,
+      lastStatus: "",
+      finalStatus: "",
+      ...record,
+    };
+
+    this.data.submissions.push(submission);
+    if (this.data.submissions.length > this.historyLimit) {
+      // Trim the oldest closed records first so tracked tasks are never forgotten.
+      const overflow = this.data.submissions.length - this.historyLimit;
+      let dropped = 0;
+      this.data.submissions = this.data.submissions.filter((item) => {
+        if (dropped < overflow && item.closedAt) {
+          dropped += 1;
+          return false;
+        }
+        return true;
+      });
+    }
+    this.scheduleSave();
+    return submission;
+  }
+
+  updateSubmission(submission, patch) {
+    Object.assign(submission, patch, { updatedAt: Date.now() });
+    this.scheduleSave();
+    return submission;
+  }
+
+  // Task IDs are only unique per NAS, so lookups can be narrowed to one target.
+  matchesTarget(submission, target) {
+    return !target || (submission.target || this.defaultTarget) === target;
+  }
+
+  findSubmissionByTaskId(taskId, target = "") {
+    const id = String(taskId || "").trim();
+    if (!id) return null;
+    for (let i = this.data.submissions.length - 1; i >= 0; i -= 1) {
+      const submission = this.data.submissions[i];
+      if (submission.taskId === id && this.matchesTarget(submission, target)) {
+        return submission;
+      }
+    }
+    return null;
+  }
+
+  findSubmissionsByInfoHash(infoHash, target = "") {
+    const hash = String(infoHash || "").trim().toLowerCase();
+    if (!hash) return [];
+    return this.data.submissions
+      .filter((item) => item.infoHash === hash && this.matchesTarget(item, target))
+      .reverse();
+  }
+
+  listOpenSubmissions(target = "") {
+    return this.data.submissions.filter((item) => item.taskId && !item.closedAt && this.matchesTarget(item, target));
+  }
+}
+
+module.exports = { BotStateStore };
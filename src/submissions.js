@@ -0,0 +1,238 @@
+const { sleep } = require("./util");
+const { resolveSkippedTaskFiles } = require("./torrent");
+const { taskInfoHash } = require("./tasks");
+const { matchCategoryRule } = require("./policies");
+
+// Submitting previewed items to Download Station and remembering who submitted what.
+function createSubmissions(app) {
+  const { synology, stateStore, multiTarget, getTarget, chatTarget, targetStateKey } = app;
+  const { taskNotify, categoryRules, duplicateHistoryDays } = app.config;
+
+  function recordSubmission(chatId, pending, details = {}) {
+    return stateStore.addSubmission({
+      taskId: String(details.taskId || "").trim(),
+      chatId: String(chatId),
+      infoHash: pending.metadata.infoHash || "",
+      method: details.method || "",
+      title: details.title || pending.metadata.displayName || pending.fileName || "",
+      destination: details.destination || "",
+      target: details.target.name,
+      notifiedDone: false,
+      notifiedError: false,
+    });
+  }
+
+  const methodLabelMap = {
+    api_query_file: "API(파일)",
+    api_query_file_without_destination: "API(파일,기본경로)",
+    api_multipart: "API(멀티파트)",
+    api_multipart_without_destination: "API(멀티파트,기본경로)",
+    api_uri: "API(링크)",
+    api_uri_without_destination: "API(링크,기본경로)",
+    api2_file: "API2(파일)",
+    api2_uri: "API2(링크)",
+    watch_folder: "워치폴더",
+    magnet_fallback: "마그넷 변환",
+  };
+
+  function hasPartialFileSelection(pending) {
+    const files = pending.metadata.files || [];
+    return Boolean(pending.selectedFiles) && pending.selectedFiles.size < files.length;
+  }
+
+  // Per-file selection needs DSM 7's BT file API; without it every file is downloaded.
+  async function supportsFileSelection(target) {
+    try {
+      return Boolean((await target.synology.queryApiInfo()).btFile);
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  async function applyFileSelection(target, taskId, pending) {
+    const torrentFiles = pending.metadata.files || [];
+    let taskFiles = [];
+    // Download Station needs a moment to load the file list of a freshly created task.
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      taskFiles = await target.synology.listTaskFiles(taskId);
+      if (taskFiles.length > 0) break;
+      await sleep(2000);
+    }
+    if (taskFiles.length === 0) {
+      throw new Error("작업의 파일 목록을 불러오지 못했습니다.");
+    }
+
+    const { skipIndexes, unmatched } = resolveSkippedTaskFiles(taskFiles, torrentFiles, pending.selectedFiles);
+    await target.synology.setTaskFilesWanted(taskId, skipIndexes, false);
+    return { skipped: skipIndexes.length, unmatched };
+  }
+
+  // Chat default destinations are kept per NAS, since folder paths differ between boxes.
+  const CHAT_DESTINATIONS_KEY = "chatDestinations";
+
+  function getChatDestination(chatId, target) {
+    const destinations = stateStore.get(targetStateKey(target, CHAT_DESTINATIONS_KEY), {});
+    return destinations[String(chatId)] || "";
+  }
+
+  function setChatDestination(chatId, destination, target = chatTarget(chatId)) {
+    const key = targetStateKey(target, CHAT_DESTINATIONS_KEY);
+    const destinations = { ...stateStore.get(key, {}) };
+    if (destination) {
+      destinations[String(chatId)] = destination;
+    } else {
+      delete destinations[String(chatId)];
+    }
+    stateStore.set(key, destinations);
+  }
+
+  function resolveDestination(chatId, explicitDestination, category = null, target = chatTarget(chatId)) {
+    if (explicitDestination) {
+      return { destination: explicitDestination, source: "직접 선택" };
+    }
+    if (category) {
+      return { destination: category.destination, source: `규칙: ${category.name}` };
+    }
+    const chatDefault = getChatDestination(chatId, target);
+    if (chatDefault) {
+      return { destination: chatDefault, source: "채팅 기본값" };
+    }
+    const configured = target.synology.destination;
+    return { destination: configured, source: configured ? "설정 기본값" : "" };
+  }
+
+  function formatDestinationLabel(destination, source) {
+    if (!destination) return "Download Station 기본 경로";
+    return source ? `${destination} (${source})` : destination;
+  }
+
+  // `lookup` is { beforeTaskIds, expectedTitles, infoHash }; see waitForTaskImport.
+  async function locateCreatedTask(target, lookup, result) {
+    if (result?.imported?.found) {
+      return result.imported;
+    }
+    try {
+      return await target.synology.waitForTaskImport({ ...lookup, timeoutSec: 15 });
+    } catch (error) {
+      synology.debugLog("locate created task failed", { message: error.message });
+      return { found: false };
+    }
+  }
+
+  // `tasks` is the current task list of `target`; only that NAS's history counts as a duplicate.
+  function findDuplicateSubmission(infoHash, tasks, target) {
+    const hash = String(infoHash || "").toLowerCase();
+    if (!hash) return null;
+
+    const tasksById = new Map(tasks.map((task) => [String(task.id || "").trim(), task]));
+    const records = stateStore.findSubmissionsByInfoHash(hash, target.name);
+    for (const record of records) {
+      const task = tasksById.get(record.taskId);
+      if (task) return { task, record };
+    }
+
+    const task = tasks.find((item) => taskInfoHash(item) === hash);
+    if (task) return { task, record: null };
+
+    const windowMs = duplicateHistoryDays * 86400 * 1000;
+    const recent = records.find((record) => Date.now() - record.submittedAt <= windowMs);
+    return recent ? { task: null, record: recent } : null;
+  }
+
+  // Submits to `pending.target`, or to the chat's default NAS when the item names none.
+  async function submitPendingSubmission(pending, explicitDestination, chatId) {
+    const target = pending.target ? getTarget(pending.target) : chatTarget(chatId);
+    const client = target.synology;
+    const category = pending.category === undefined ? matchCategoryRule(categoryRules, pending.metadata) : pending.category;
+    const resolved = resolveDestination(chatId, explicitDestination, category, target);
+    // Always pass the destination so an empty chat default cannot fall back to a stale value.
+    const options = { destination: resolved.destination };
+    const destinationLabel = `${multiTarget ? `NAS: ${target.label}, ` : ""}저장 위치: ${formatDestinationLabel(
+      resolved.destination,
+      resolved.source,
+    )}`;
+    const expectedTitles = [pending.metadata.displayName, String(pending.fileName || "").replace(/\.torrent$/i, "")];
+
+    const beforeSnapshot = await client.getTaskSnapshot(300);
+    const beforeTaskIds = new Set(
+      (beforeSnapshot.tasks || []).map((item) => String(item.id || "").trim()).filter(Boolean),
+    );
+
+    const lines = [];
+    let result = null;
+    if (pending.kind === "magnet" || pending.kind === "url") {
+      result = await client.createTaskFromUri(pending.uri, options);
+      const label = pending.kind === "magnet" ? "마그넷 링크" : "다운로드 링크";
+      lines.push(`등록 완료: ${label} 1건 (${destinationLabel})`);
+    } else {
+      result = await client.createTaskFromTorrentFile(pending.fileName, pending.fileBuffer, options);
+      const methodLabel = methodLabelMap[result?.method] || result?.method || "알수없음";
+      lines.push(`등록 완료: 토렌트 파일 1건 (${pending.fileName}, 방식: ${methodLabel}, ${destinationLabel})`);
+    }
+
+    const destinationFallback =
+      Boolean(resolved.destination) &&
+      (Boolean(result?.destinationFallback) || /_without_destination$/.test(String(result?.method || "")));
+    if (destinationFallback) {
+      lines.push(
+        `⚠ NAS가 저장 위치 '${resolved.destination}'를 거부해(code 101) Download Station 기본 경로에 저장했습니다. 폴더 경로와 권한을 확인하세요.`,
+      );
+    } else if (result?.method === "watch_folder" && resolved.destination) {
+      lines.push("참고: 워치 폴더로 등록된 작업은 Download Station 워치 폴더 설정의 저장 위치를 따릅니다.");
+    }
+
+    const located = await locateCreatedTask(
+      target,
+      { beforeTaskIds, expectedTitles, infoHash: pending.metadata.infoHash },
+      result,
+    );
+    recordSubmission(chatId, pending, {
+      taskId: located.found ? located.taskId : "",
+      title: located.title,
+      method: result?.method || pending.kind,
+      destination: destinationFallback ? "" : resolved.destination,
+      target,
+    });
+    if (!located.found && taskNotify) {
+      lines.push("참고: 생성된 작업을 찾지 못해 완료 알림을 보낼 수 없습니다.");
+    }
+
+    if (hasPartialFileSelection(pending)) {
+      try {
+        // A task that was only "the one new ID" may belong to another submission; leave it alone.
+        if (!located.found || located.reason === "new_id") {
+          throw new Error("새로 생성된 작업을 찾지 못했습니다.");
+        }
+
+        // Hold the task while the skip list is applied so the unwanted files are not fetched meanwhile.
+        await client.pauseTasks(located.taskId);
+        try {
+          const selection = await applyFileSelection(target, located.taskId, pending);
+          lines.push(`파일 선택 적용: ${selection.skipped}개 파일 제외`);
+          if (selection.unmatched > 0) {
+            lines.push(`참고: ${selection.unmatched}개 파일은 NAS 목록에서 찾지 못해 그대로 받습니다.`);
+          }
+        } finally {
+          await client.resumeTasks(located.taskId).catch((error) => {
+            lines.push(`⚠ 작업을 다시 시작하지 못했습니다. /resume으로 재개하세요: ${error.message}`);
+          });
+        }
+      } catch (error) {
+        lines.push(`파일 선택 적용 실패 (전체 파일을 받습니다): ${error.message}`);
+      }
+    }
+
+    return { text: lines.join("\n"), taskId: located.found ? located.taskId : "", target };
+  }
+
+  return {
+    supportsFileSelection,
+    setChatDestination,
+    resolveDestination,
+    formatDestinationLabel,
+    findDuplicateSubmission,
+    submitPendingSubmission,
+  };
+}
+
+module.exports = { createSubmissions };
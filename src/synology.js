@@ -0,0 +1,1251 @@
+const fs = require("fs/promises");
+const https = require("https");
+const path = require("path");
+const axios = require("axios");
+const FormData = require("form-data");
+const { sleep, toNumber } = require("./util");
+const { sanitizeTorrentFilename, extractTorrentMetadata, buildMagnetFromTorrentBuffer } = require("./torrent");
+const { taskInfoHash } = require("./tasks");
+
+const TRANSIENT_NETWORK_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ERR_NETWORK",
+]);
+
+// DSM codes meaning the SID is no longer valid; the request is retried once after a fresh login.
+const SESSION_ERROR_CODES = [105, 106, 107, 119];
+
+// Login errors for accounts with 2-step verification: 403 = code required (or the saved device
+// token was not accepted), 404 = wrong code. 406 means the account must set up 2-step first.
+const OTP_REQUIRED_CODES = [403, 404];
+const OTP_SETUP_REQUIRED_CODE = 406;
+const MAX_OTP_ATTEMPTS = 3;
+
+// SYNO.DownloadStation2.Task reports status as a number; map it to the names the legacy API uses.
+// Codes of 100 and above are error states.
+const DOWNLOAD_STATION2_STATUSES = {
+  1: "waiting",
+  2: "downloading",
+  3: "paused",
+  4: "finishing",
+  5: "finished",
+  6: "hash_checking",
+  7: "finishing",
+  8: "seeding",
+  9: "filehosting_waiting",
+  10: "extracting",
+  11: "waiting",
+  12: "waiting",
+  13: "finishing",
+  14: "finishing",
+  15: "waiting",
+};
+
+function normalizeTask2(task) {
+  if (!task || typeof task !== "object" || typeof task.status === "string") {
+    return task;
+  }
+
+  const code = toNumber(task.status, 0);
+  const status = DOWNLOAD_STATION2_STATUSES[code] || (code >= 100 ? "error" : "unknown");
+  const normalized = { ...task, status, status_code: code };
+  if (status === "error" && !task.status_extra?.error_detail) {
+    normalized.status_extra = { ...task.status_extra, error_detail: `code ${code}` };
+  }
+  return normalized;
+}
+
+// DownloadStation2 create answers with the IDs of the tasks it made. With exactly one, that is the
+// task; older DSM returns nothing and the caller has to find it in the task list.
+// Returns `{ imported }` to spread into the create result, or {} when the ID is not known.
+function createdTaskFields(response) {
+  const ids = response.data?.data?.task_id;
+  const taskIds = (Array.isArray(ids) ? ids : [ids]).map((id) => String(id || "").trim()).filter(Boolean);
+  if (taskIds.length !== 1) return {};
+  return { imported: { found: true, reason: "create_response", taskId: taskIds[0], title: "" } };
+}
+
+function isTransientNasError(error) {
+  if (!error) return false;
+  const status = toNumber(error.response?.status, 0);
+  if (status >= 500) return true;
+  if (error.response) return false;
+  return TRANSIENT_NETWORK_ERROR_CODES.has(error.code);
+}
+
+class SynologyDownloadStation {
+  constructor(options) {
+    this.baseUrl = options.baseUrl.replace(/\/+$/, "");
+    this.username = options.username;
+    this.password = options.password;
+    this.destination = options.destination || "";
+    this.torrentWatchDir = options.torrentWatchDir || "";
+    this.watchImportWaitSec = Math.max(3, toNumber(options.watchImportWaitSec, 20));
+    this.watchImportStrict = Boolean(options.watchImportStrict);
+    this.allowSelfSigned = options.allowSelfSigned;
+    this.sid = null;
+    this.apiInfo = null;
+    this.loginPromise = null;
+    // Trusted-device token returned after an OTP login; sent on later logins to skip the code.
+    this.deviceId = options.deviceId || "";
+    this.deviceName = options.deviceName || "synology-auto-bot";
+    // async ({ invalid }) => "123456"; without it an OTP-protected account cannot log in.
+    this.requestOtp = options.requestOtp || null;
+    this.onDeviceToken = options.onDeviceToken || null;
+    this.debug = Boolean(options.debug);
+
+    const isHttps = this.baseUrl.startsWith("https://");
+    const httpsAgent =
+      isHttps && this.allowSelfSigned
+        ? new https.Agent({ rejectUnauthorized: false })
+        : undefined;
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: 20000,
+      httpsAgent,
+      validateStatus: (status) => status >= 200 && status < 500,
+    });
+  }
+
+  debugLog(...args) {
+    if (!this.debug) return;
+    console.log("[synology-auto-bot]", ...args);
+  }
+
+  async queryApiInfo() {
+    if (this.apiInfo) return this.apiInfo;
+
+    const query = new URLSearchParams({
+      api: "SYNO.API.Info",
+      version: "1",
+      method: "query",
+      query: [
+        "SYNO.API.Auth",
+        "SYNO.DownloadStation.Task",
+        "SYNO.DownloadStation2.Task",
+        "SYNO.DownloadStation.Info",
+        "SYNO.DownloadStation.BTSearch",
+        "SYNO.DownloadStation2.Task.BT.File",
+        "SYNO.FileStation.List",
+      ].join(","),
+    });
+
+    const response = await this.http.get(`/webapi/query.cgi?${query.toString()}`);
+    this.assertHttpOk(response, "SYNO API 정보 조회 실패");
+    this.assertSynologySuccess(response.data, "SYNO API 정보 조회 실패");
+
+    const authInfo = response.data?.data?.["SYNO.API.Auth"];
+    const taskInfo = response.data?.data?.["SYNO.DownloadStation.Task"];
+    if (!authInfo || !taskInfo) {
+      throw new Error("필수 Synology API 정보를 찾지 못했습니다.");
+    }
+
+    this.apiInfo = {
+      auth: authInfo,
+      task: taskInfo,
+      // Optional: DSM 7 task API with real file upload; preferred over the legacy task API when present.
+      task2: response.data?.data?.["SYNO.DownloadStation2.Task"] || null,
+      // Optional: server configuration (speed limits); used by /limit.
+      info: response.data?.data?.["SYNO.DownloadStation.Info"] || null,
+      // Optional: BT search through the search engines enabled in Download Station.
+      btSearch: response.data?.data?.["SYNO.DownloadStation.BTSearch"] || null,
+      // Optional: only DSM 7 Download Station exposes per-file control of BT tasks.
+      btFile: response.data?.data?.["SYNO.DownloadStation2.Task.BT.File"] || null,
+      // Optional: used to browse destination folders; missing when File Station is disabled.
+      fileList: response.data?.data?.["SYNO.FileStation.List"] || null,
+    };
+    return this.apiInfo;
+  }
+
+  async apiGeneration() {
+    const { task, task2 } = await this.queryApiInfo();
+    return task2
+      ? { generation: 2, api: "SYNO.DownloadStation2.Task", version: task2.maxVersion }
+      : { generation: 1, api: "SYNO.DownloadStation.Task", version: task.maxVersion };
+  }
+
+  async postTask2(method, params, prefix) {
+    const { task2 } = await this.queryApiInfo();
+    const payload = {
+      api: "SYNO.DownloadStation2.Task",
+      version: String(task2.maxVersion),
+      method,
+      ...params,
+      _sid: this.sid,
+    };
+
+    const response = await this.http.post(`/webapi/${task2.path}`, new URLSearchParams(payload).toString(), {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+    this.assertHttpOk(response, prefix);
+    this.debugLog(`task2 ${method} response`, response.data);
+    return response;
+  }
+
+  // Session errors are thrown so runWithRetry can log in again; anything else is left to the caller,
+  // which falls back to the legacy task API.
+  assertTask2Usable(response, prefix) {
+    if (SESSION_ERROR_CODES.includes(response.data?.error?.code)) {
+      this.assertSynologySuccess(response.data, prefix);
+    }
+    return Boolean(response.data?.success);
+  }
+
+  async login(force = false) {
+    if (this.sid && !force) return this.sid;
+
+    // Requests that find the session expired at the same time share one login (and one OTP prompt).
+    if (!this.loginPromise) {
+      this.loginPromise = this.performLogin().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    return this.loginPromise;
+  }
+
+  async performLogin() {
+    const { auth } = await this.queryApiInfo();
+    let otpCode = "";
+
+    for (let attempt = 0; ; attempt += 1) {
+      const params = {
+        api: "SYNO.API.Auth",
+        version: String(auth.maxVersion),
+        method: "login",
+        account: this.username,
+        passwd: this.password,
+        session: "DownloadStation",
+        format: "sid",
+      };
+      if (otpCode) {
+        params.otp_code = otpCode;
+        params.enable_device_token = "yes";
+        params.device_name = this.deviceName;
+      } else if (this.deviceId) {
+        params.device_id = this.deviceId;
+        params.device_name = this.deviceName;
+      }
+
+      const response = await this.http.get(`/webapi/${auth.path}?${new URLSearchParams(params).toString()}`);
+      this.assertHttpOk(response, "Synology 로그인 실패");
+
+      const code = response.data?.error?.code;
+      const otpRequired = !response.data?.success && OTP_REQUIRED_CODES.includes(code);
+      if (otpRequired && this.requestOtp && attempt < MAX_OTP_ATTEMPTS) {
+        this.debugLog("login requires 2-step verification", {
+          code,
+          deviceTokenRejected: Boolean(this.deviceId) && !otpCode,
+        });
+        otpCode = String((await this.requestOtp({ invalid: Boolean(otpCode) })) || "").trim();
+        continue;
+      }
+
+      const prefix =
+        OTP_REQUIRED_CODES.includes(code) || code === OTP_SETUP_REQUIRED_CODE
+          ? "Synology 2단계 인증 로그인 실패"
+          : "Synology 로그인 실패";
+      this.assertSynologySuccess(response.data, prefix);
+
+      const sid = response.data?.data?.sid;
+      if (!sid) {
+        throw new Error("Synology SID를 받지 못했습니다.");
+      }
+
+      const deviceId = response.data?.data?.did || response.data?.data?.device_id || "";
+      if (otpCode && deviceId) {
+        this.deviceId = deviceId;
+        if (this.onDeviceToken) {
+          await this.onDeviceToken(deviceId);
+        }
+      }
+
+      this.sid = sid;
+      return sid;
+    }
+  }
+
+  async logout() {
+    if (!this.sid) return;
+
+    const sid = this.sid;
+    this.sid = null;
+    const { auth } = await this.queryApiInfo();
+    const query = new URLSearchParams({
+      api: "SYNO.API.Auth",
+      version: String(auth.maxVersion),
+      method: "logout",
+      session: "DownloadStation",
+      _sid: sid,
+    });
+
+    const response = await this.http.get(`/webapi/${auth.path}?${query.toString()}`, { timeout: 5000 });
+    this.assertHttpOk(response, "Synology 로그아웃 실패");
+    this.assertSynologySuccess(response.data, "Synology 로그아웃 실패");
+  }
+
+  async createTaskFromUri(uri, options = {}) {
+    const targetDestination = options.destination == null ? this.destination : options.destination;
+
+    return this.runWithRetry(async () => {
+      const { task, task2 } = await this.queryApiInfo();
+
+      if (task2) {
+        const params = {
+          type: JSON.stringify("url"),
+          url: JSON.stringify([uri]),
+          create_list: "false",
+        };
+        if (targetDestination) {
+          params.destination = JSON.stringify(targetDestination);
+        }
+        this.debugLog("createTaskFromUri attempt", {
+          reason: "task2",
+          destination: targetDestination || "(default)",
+          uriPreview: String(uri).slice(0, 120),
+        });
+
+        const response = await this.postTask2("create", params, "마그넷 등록 실패");
+        if (this.assertTask2Usable(response, "마그넷 등록 실패")) {
+          return {
+            method: "api2_uri",
+            destination: targetDestination,
+            destinationFallback: false,
+            ...createdTaskFields(response),
+          };
+        }
+        this.debugLog("task2 create failed, retry by legacy task API", response.data);
+      }
+
+      const postUriTask = async (destination, reason) => {
+        const payload = {
+          api: "SYNO.DownloadStation.Task",
+          version: String(task.maxVersion),
+          method: "create",
+          uri,
+          _sid: this.sid,
+        };
+        if (destination) {
+          payload.destination = destination;
+        }
+
+        this.debugLog("createTaskFromUri attempt", {
+          reason,
+          destination: destination || "(default)",
+          uriPreview: String(uri).slice(0, 120),
+        });
+
+        const response = await this.http.post(
+          `/webapi/${task.path}`,
+          new URLSearchParams(payload).toString(),
+          {
+            headers: {
+              "Content-Type": "application/x-www-form-urlencoded",
+            },
+          },
+        );
+        this.assertHttpOk(response, "마그넷 등록 실패");
+        this.debugLog("createTaskFromUri response", response.data);
+        return response;
+      };
+
+      let response = await postUriTask(targetDestination, "primary");
+      let destinationFallback = false;
+      if (!response.data?.success && targetDestination && response.data?.error?.code === 101) {
+        response = await postUriTask("", "retry_without_destination");
+        destinationFallback = true;
+      }
+
+      this.assertSynologySuccess(response.data, "마그넷 등록 실패");
+      return {
+        method: destinationFallback ? "api_uri_without_destination" : "api_uri",
+        destination: destinationFallback ? "" : targetDestination,
+        destinationFallback,
+      };
+    });
+  }
+
+  async createTaskFromTorrentFile(filename, fileBuffer, options = {}) {
+    const targetDestination = options.destination == null ? this.destination : options.destination;
+
+    return this.runWithRetry(async () => {
+      const { task, task2 } = await this.queryApiInfo();
+      const safeFilename = sanitizeTorrentFilename(filename);
+
+      if (!Buffer.isBuffer(fileBuffer) || fileBuffer.length === 0) {
+        throw new Error("다운로드한 파일 데이터가 비어 있습니다.");
+      }
+
+      this.debugLog("createTaskFromTorrentFile input", {
+        originalFilename: filename,
+        safeFilename,
+        fileSize: fileBuffer.length,
+        hasDestination: Boolean(targetDestination),
+      });
+
+      if (task2) {
+        // DownloadStation2 names the upload field in `file` and takes JSON-encoded parameters.
+        const form = new FormData();
+        form.append("api", "SYNO.DownloadStation2.Task");
+        form.append("version", String(task2.maxVersion));
+        form.append("method", "create");
+        form.append("type", JSON.stringify("file"));
+        form.append("file", JSON.stringify(["torrent"]));
+        form.append("create_list", "false");
+        if (targetDestination) {
+          form.append("destination", JSON.stringify(targetDestination));
+        }
+        form.append("_sid", this.sid);
+        form.append("torrent", fileBuffer, {
+          filename: safeFilename,
+          contentType: "application/x-bittorrent",
+        });
+
+        this.debugLog("torrent upload attempt", {
+          reason: "task2",
+          mode: "task2_file",
+          destination: targetDestination || "(default)",
+          filename: safeFilename,
+        });
+
+        const response = await this.http.post(`/webapi/${task2.path}`, form, {
+          headers: form.getHeaders(),
+          maxBodyLength: 20 * 1024 * 1024,
+          maxContentLength: 20 * 1024 * 1024,
+        });
+        this.assertHttpOk(response, "토렌트 파일 등록 실패");
+        this.debugLog("torrent upload response", response.data);
+        if (this.assertTask2Usable(response, "토렌트 파일 등록 실패")) {
+          return { method: "api2_file", ...createdTaskFields(response) };
+        }
+        this.debugLog("task2 upload failed, retry by legacy task API", response.data);
+      }
+
+      const postTorrentWithQuery = async (destination, reason) => {
+        // DSM compatibility: send control parameters in query and upload only file as POST body.
+        const queryParams = new URLSearchParams({
+          api: "SYNO.DownloadStation.Task",
+          version: String(task.maxVersion),
+          method: "create",
+          _sid: this.sid,
+        });
+        if (destination) {
+          queryParams.set("destination", destination);
+        }
+
+        const form = new FormData();
+        form.append("file", fileBuffer, {
+          filename: safeFilename,
+          contentType: "application/x-bittorrent",
+        });
+
+        this.debugLog("torrent upload attempt", {
+          reason,
+          mode: "query_file",
+          destination: destination || "(default)",
+          filename: safeFilename,
+        });
+
+        const response = await this.http.post(
+          `/webapi/${task.path}?${queryParams.toString()}`,
+          form,
+          {
+            headers: form.getHeaders(),
+            maxBodyLength: 20 * 1024 * 1024,
+            maxContentLength: 20 * 1024 * 1024,
+          },
+        );
+        this.assertHttpOk(response, "토렌트 파일 등록 실패");
+        this.debugLog("torrent upload response", response.data);
+        return response;
+      };
+
+      const postTorrentWithMultipart = async (destination, reason) => {
+        const form = new FormData();
+        form.append("api", "SYNO.DownloadStation.Task");
+        form.append("version", String(task.maxVersion));
+        form.append("method", "create");
+        form.append("_sid", this.sid);
+        if (destination) {
+          form.append("destination", destination);
+        }
+        form.append("file", fileBuffer, {
+          filename: safeFilename,
+          contentType: "application/x-bittorrent",
+        });
+
+        this.debugLog("torrent upload attempt", {
+          reason,
+          mode: "multipart",
+          destination: destination || "(default)",
+          filename: safeFilename,
+        });
+
+        const response = await this.http.post(`/webapi/${task.path}`, form, {
+          headers: form.getHeaders(),
+          maxBodyLength: 20 * 1024 * 1024,
+          maxContentLength: 20 * 1024 * 1024,
+        });
+        this.assertHttpOk(response, "토렌트 파일 등록 실패");
+        this.debugLog("torrent upload response", response.data);
+        return response;
+      };
+
+      const isParamError = (response) => response?.data?.error?.code === 101;
+
+      let response = await postTorrentWithQuery(targetDestination, "primary");
+      if (response.data?.success) return { method: "api_query_file" };
+
+      if (targetDestination && isParamError(response)) {
+        response = await postTorrentWithQuery("", "retry_without_destination");
+        if (response.data?.success) return { method: "api_query_file_without_destination" };
+      }
+
+      if (isParamError(response)) {
+        response = await postTorrentWithMultipart(targetDestination, "fallback_multipart");
+        if (response.data?.success) return { method: "api_multipart" };
+
+        if (targetDestination && isParamError(response)) {
+          response = await postTorrentWithMultipart("", "fallback_multipart_without_destination");
+          if (response.data?.success) return { method: "api_multipart_without_destination" };
+        }
+      }
+
+      if (this.torrentWatchDir) {
+        this.debugLog("torrent upload failed, retry by watch folder", {
+          watchDir: this.torrentWatchDir,
+          filename: safeFilename,
+        });
+        try {
+          const beforeSnapshot = await this.getTaskSnapshot(300);
+          const beforeTaskIds = new Set(
+            (beforeSnapshot.tasks || []).map((item) => String(item.id || "").trim()).filter(Boolean),
+          );
+          let parsedMeta = null;
+          try {
+            parsedMeta = extractTorrentMetadata(fileBuffer);
+          } catch (_error) {
+            parsedMeta = null;
+          }
+          const expectedTitles = [
+            parsedMeta?.displayName,
+            safeFilename.replace(/\.torrent$/i, ""),
+            String(filename || "").replace(/\.torrent$/i, ""),
+          ]
+            .map((title) => String(title || "").trim())
+            .filter(Boolean);
+
+          const savedPath = await this.enqueueTorrentFileToWatchFolder(safeFilename, fileBuffer);
+          this.debugLog("watch folder enqueue success", {
+            watchDir: this.torrentWatchDir,
+            savedPath,
+          });
+
+          const imported = await this.waitForTaskImport({
+            beforeTaskIds,
+            expectedTitles,
+            infoHash: parsedMeta?.infoHash,
+            timeoutSec: this.watchImportWaitSec,
+          });
+
+          if (imported.found) {
+            this.debugLog("watch folder import confirmed", imported);
+            return { method: "watch_folder", imported };
+          }
+
+          this.debugLog("watch folder enqueue done but no visible task imported", {
+            timeoutSec: this.watchImportWaitSec,
+            expectedTitles,
+          });
+          if (this.watchImportStrict) {
+            throw new Error(
+              `워치 폴더에 파일은 저장됐지만 ${this.watchImportWaitSec}초 내 작업 생성이 확인되지 않았습니다.`,
+            );
+          }
+        } catch (watchError) {
+          this.debugLog("watch folder enqueue failed", {
+            watchDir: this.torrentWatchDir,
+            message: watchError.message,
+          });
+          if (this.watchImportStrict) {
+            throw watchError;
+          }
+        }
+      }
+
+      const magnetFallback = await buildMagnetFromTorrentBuffer(fileBuffer, (...args) => this.debugLog(...args));
+      if (magnetFallback) {
+        this.debugLog("torrent upload failed, retry by parsed magnet", {
+          magnetPreview: magnetFallback.slice(0, 160),
+        });
+        try {
+          const uriResult = await this.createTaskFromUri(magnetFallback, { destination: targetDestination });
+          return {
+            method: "magnet_fallback",
+            destinationFallback: uriResult.destinationFallback,
+            ...(uriResult.imported && { imported: uriResult.imported }),
+          };
+        } catch (magnetError) {
+          this.debugLog("parsed magnet fallback failed", { message: magnetError.message });
+        }
+      }
+
+      this.assertSynologySuccess(response.data, "토렌트 파일 등록 실패");
+      return { method: "unknown" };
+    });
+  }
+
+  async enqueueTorrentFileToWatchFolder(filename, fileBuffer) {
+    const watchDir = String(this.torrentWatchDir || "").trim();
+    if (!watchDir) {
+      throw new Error("워치 폴더 경로가 비어 있습니다.");
+    }
+    if (!Buffer.isBuffer(fileBuffer) || fileBuffer.length === 0) {
+      throw new Error("워치 폴더에 저장할 토렌트 데이터가 비어 있습니다.");
+    }
+
+    const safeFilename = sanitizeTorrentFilename(filename);
+    const uniquePrefix = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const targetFilename = `${uniquePrefix}_${safeFilename}`;
+    const targetPath = path.join(watchDir, targetFilename);
+    const tempPath = `${targetPath}.part`;
+
+    await fs.mkdir(watchDir, { recursive: true });
+    await fs.writeFile(tempPath, fileBuffer);
+    await fs.rename(tempPath, targetPath);
+
+    return targetPath;
+  }
+
+  // Finds the task a submission created among the tasks missing from `beforeTaskIds`. Other
+  // submissions (other chats, RSS, inbox, retry queue) may add tasks at the same time, so a new task
+  // must match the info hash or an expected title; an unidentified new task is only taken when it
+  // is the single one that appeared and does not carry a different info hash.
+  async waitForTaskImport(options = {}) {
+    const beforeTaskIds = options.beforeTaskIds || new Set();
+    const expectedTitles = Array.isArray(options.expectedTitles)
+      ? options.expectedTitles
+          .map((title) => String(title || "").trim().toLowerCase())
+          .filter(Boolean)
+      : [];
+    const infoHash = String(options.infoHash || "").toLowerCase();
+
+    const timeoutMs = Math.max(3, toNumber(options.timeoutSec, this.watchImportWaitSec)) * 1000;
+    const deadline = Date.now() + timeoutMs;
+    const found = (task, reason) => ({
+      found: true,
+      reason,
+      taskId: String(task.id || "").trim(),
+      title: task.title || "",
+    });
+
+    while (Date.now() <= deadline) {
+      const snapshot = await this.getTaskSnapshot(300);
+      const newTasks = (snapshot.tasks || []).filter((task) => {
+        const taskId = String(task.id || "").trim();
+        return taskId && !beforeTaskIds.has(taskId);
+      });
+
+      const hashMatch = infoHash && newTasks.find((task) => taskInfoHash(task) === infoHash);
+      if (hashMatch) return found(hashMatch, "hash_match");
+
+      const titleMatch =
+        expectedTitles.length > 0 &&
+        newTasks.find((task) => expectedTitles.includes(String(task.title || "").trim().toLowerCase()));
+      if (titleMatch) return found(titleMatch, "title_match");
+
+      const otherHash = newTasks.length === 1 && infoHash && taskInfoHash(newTasks[0]);
+      if (newTasks.length === 1 && !otherHash) return found(newTasks[0], "new_id");
+
+      const remain = deadline - Date.now();
+      if (remain <= 0) break;
+      await sleep(Math.min(2000, remain));
+    }
+
+    return { found: false };
+  }
+
+  async pauseTasks(taskIds) {
+    const ids = (Array.isArray(taskIds) ? taskIds : [taskIds])
+      .map((id) => String(id || "").trim())
+      .filter(Boolean);
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    return this.runWithRetry(async () => {
+      const { task, task2 } = await this.queryApiInfo();
+      if (task2) {
+        const response = await this.postTask2("pause", { id: JSON.stringify(ids) }, "작업 일시정지 실패");
+        this.assertSynologySuccess(response.data, "작업 일시정지 실패");
+        return;
+      }
+
+      const payload = {
+        api: "SYNO.DownloadStation.Task",
+        version: String(task.maxVersion),
+        method: "pause",
+        id: ids.join(","),
+        _sid: this.sid,
+      };
+
+      const response = await this.http.post(
+        `/webapi/${task.path}`,
+        new URLSearchParams(payload).toString(),
+        {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+        },
+      );
+
+      this.assertHttpOk(response, "작업 일시정지 실패");
+      this.assertSynologySuccess(response.data, "작업 일시정지 실패");
+    });
+  }
+
+  async resumeTasks(taskIds) {
+    const ids = (Array.isArray(taskIds) ? taskIds : [taskIds])
+      .map((id) => String(id || "").trim())
+      .filter(Boolean);
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    return this.runWithRetry(async () => {
+      const { task, task2 } = await this.queryApiInfo();
+      if (task2) {
+        const response = await this.postTask2("resume", { id: JSON.stringify(ids) }, "작업 재개 실패");
+        this.assertSynologySuccess(response.data, "작업 재개 실패");
+        return;
+      }
+
+      const payload = {
+        api: "SYNO.DownloadStation.Task",
+        version: String(task.maxVersion),
+        method: "resume",
+        id: ids.join(","),
+        _sid: this.sid,
+      };
+
+      const response = await this.http.post(
+        `/webapi/${task.path}`,
+        new URLSearchParams(payload).toString(),
+        {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+        },
+      );
+
+      this.assertHttpOk(response, "작업 재개 실패");
+      this.assertSynologySuccess(response.data, "작업 재개 실패");
+    });
+  }
+
+  async deleteTasks(taskIds) {
+    const ids = (Array.isArray(taskIds) ? taskIds : [taskIds])
+      .map((id) => String(id || "").trim())
+      .filter(Boolean);
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    return this.runWithRetry(async () => {
+      const { task, task2 } = await this.queryApiInfo();
+      if (task2) {
+        const response = await this.postTask2(
+          "delete",
+          { id: JSON.stringify(ids), force_complete: "false" },
+          "작업 삭제 실패",
+        );
+        this.assertSynologySuccess(response.data, "작업 삭제 실패");
+        return;
+      }
+
+      const joinedIds = ids.join(",");
+
+      const postDelete = async (extraPayload = {}, reason = "primary") => {
+        const payload = {
+          api: "SYNO.DownloadStation.Task",
+          version: String(task.maxVersion),
+          method: "delete",
+          id: joinedIds,
+          _sid: this.sid,
+          ...extraPayload,
+        };
+
+        this.debugLog("delete tasks attempt", {
+          reason,
+          ids: joinedIds,
+          extraPayload,
+        });
+
+        const response = await this.http.post(
+          `/webapi/${task.path}`,
+          new URLSearchParams(payload).toString(),
+          {
+            headers: {
+              "Content-Type": "application/x-www-form-urlencoded",
+            },
+          },
+        );
+
+        this.assertHttpOk(response, "작업 삭제 실패");
+        this.debugLog("delete tasks response", response.data);
+        return response;
+      };
+
+      let response = await postDelete({}, "primary");
+      if (response.data?.success) return;
+
+      if (response.data?.error?.code === 101) {
+        const fallbacks = [
+          { extraPayload: { force_complete: "false" }, reason: "force_complete_false" },
+          { extraPayload: { force_complete: "true" }, reason: "force_complete_true" },
+          { extraPayload: { force_delete: "false" }, reason: "force_delete_false" },
+          { extraPayload: { force_delete: "true" }, reason: "force_delete_true" },
+          {
+            extraPayload: { force_complete: "false", force_delete: "false" },
+            reason: "force_complete_false_force_delete_false",
+          },
+          {
+            extraPayload: { force_complete: "true", force_delete: "true" },
+            reason: "force_complete_true_force_delete_true",
+          },
+        ];
+
+        for (const fallback of fallbacks) {
+          response = await postDelete(fallback.extraPayload, fallback.reason);
+          if (response.data?.success) return;
+          if (response.data?.error?.code !== 101) break;
+        }
+      }
+
+      this.assertSynologySuccess(response.data, "작업 삭제 실패");
+    });
+  }
+
+  async getConfig() {
+    return this.runWithRetry(async () => {
+      const { info } = await this.queryApiInfo();
+      if (!info) {
+        throw new Error("Download Station 설정 API를 사용할 수 없습니다.");
+      }
+
+      const query = new URLSearchParams({
+        api: "SYNO.DownloadStation.Info",
+        version: String(Math.min(2, info.maxVersion)),
+        method: "getconfig",
+        _sid: this.sid,
+      });
+
+      const response = await this.http.get(`/webapi/${info.path}?${query.toString()}`);
+      this.assertHttpOk(response, "Download Station 설정 조회 실패");
+      this.assertSynologySuccess(response.data, "Download Station 설정 조회 실패");
+      return response.data?.data || {};
+    });
+  }
+
+  async setConfig(config) {
+    const entries = Object.entries(config || {}).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) {
+      return;
+    }
+
+    return this.runWithRetry(async () => {
+      const { info } = await this.queryApiInfo();
+      if (!info) {
+        throw new Error("Download Station 설정 API를 사용할 수 없습니다.");
+      }
+
+      const payload = {
+        api: "SYNO.DownloadStation.Info",
+        version: String(Math.min(2, info.maxVersion)),
+        method: "setserverconfig",
+        _sid: this.sid,
+      };
+      for (const [key, value] of entries) {
+        payload[key] = String(value);
+      }
+
+      const response = await this.http.post(
+        `/webapi/${info.path}`,
+        new URLSearchParams(payload).toString(),
+        {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+        },
+      );
+
+      this.assertHttpOk(response, "Download Station 설정 변경 실패");
+      this.assertSynologySuccess(response.data, "Download Station 설정 변경 실패");
+    });
+  }
+
+  async listSharedFolders() {
+    return this.runWithRetry(async () => {
+      const { fileList } = await this.queryApiInfo();
+      if (!fileList) {
+        throw new Error("File Station API를 사용할 수 없습니다. (File Station 활성화/권한 확인)");
+      }
+
+      const query = new URLSearchParams({
+        api: "SYNO.FileStation.List",
+        version: String(Math.min(2, fileList.maxVersion)),
+        method: "list_share",
+        offset: "0",
+        limit: "200",
+        sort_by: "name",
+        _sid: this.sid,
+      });
+
+      const response = await this.http.get(`/webapi/${fileList.path}?${query.toString()}`);
+      this.assertHttpOk(response, "공유 폴더 목록 조회 실패");
+      this.assertSynologySuccess(response.data, "공유 폴더 목록 조회 실패");
+
+      const shares = Array.isArray(response.data?.data?.shares) ? response.data.data.shares : [];
+      return shares.map((share) => ({ name: String(share.name || ""), path: String(share.path || "") }));
+    });
+  }
+
+  async listFolders(folderPath) {
+    const target = String(folderPath || "").trim();
+    if (!target) {
+      return this.listSharedFolders();
+    }
+
+    return this.runWithRetry(async () => {
+      const { fileList } = await this.queryApiInfo();
+      if (!fileList) {
+        throw new Error("File Station API를 사용할 수 없습니다. (File Station 활성화/권한 확인)");
+      }
+
+      const query = new URLSearchParams({
+        api: "SYNO.FileStation.List",
+        version: String(Math.min(2, fileList.maxVersion)),
+        method: "list",
+        folder_path: target,
+        filetype: "dir",
+        offset: "0",
+        limit: "500",
+        sort_by: "name",
+        _sid: this.sid,
+      });
+
+      const response = await this.http.get(`/webapi/${fileList.path}?${query.toString()}`);
+      this.assertHttpOk(response, "폴더 목록 조회 실패");
+      this.assertSynologySuccess(response.data, "폴더 목록 조회 실패");
+
+      const files = Array.isArray(response.data?.data?.files) ? response.data.data.files : [];
+      return files
+        // Skip DSM system folders such as #recycle and @eaDir.
+        .filter((file) => file.isdir !== false && !/^[#@]/.test(String(file.name || "")))
+        .map((file) => ({ name: String(file.name || ""), path: String(file.path || "") }));
+    });
+  }
+
+  async requestBtSearch(method, params, prefix) {
+    return this.runWithRetry(async () => {
+      const { btSearch } = await this.queryApiInfo();
+      if (!btSearch) {
+        throw new Error("Download Station BT 검색 API를 사용할 수 없습니다.");
+      }
+
+      const query = new URLSearchParams({
+        api: "SYNO.DownloadStation.BTSearch",
+        version: String(Math.min(1, btSearch.maxVersion)),
+        method,
+        ...params,
+        _sid: this.sid,
+      });
+
+      const response = await this.http.get(`/webapi/${btSearch.path}?${query.toString()}`);
+      this.assertHttpOk(response, prefix);
+      this.assertSynologySuccess(response.data, prefix);
+      return response.data?.data || {};
+    });
+  }
+
+  async startSearch(keyword) {
+    const data = await this.requestBtSearch("start", { keyword, module: "enabled" }, "BT 검색 시작 실패");
+    const searchId = String(data.taskid || "").trim();
+    if (!searchId) {
+      throw new Error("BT 검색 ID를 받지 못했습니다.");
+    }
+    return searchId;
+  }
+
+  async listSearchResults(searchId, limit = 50) {
+    const data = await this.requestBtSearch(
+      "list",
+      {
+        taskid: searchId,
+        offset: "0",
+        limit: String(limit),
+        sort_by: "seeds",
+        sort_direction: "DESC",
+      },
+      "BT 검색 결과 조회 실패",
+    );
+
+    const items = Array.isArray(data.items) ? data.items : [];
+    return {
+      finished: Boolean(data.finished),
+      total: toNumber(data.total, items.length),
+      items: items.map((item) => ({
+        title: String(item.title || "").trim(),
+        uri: String(item.download_uri || "").trim(),
+        size: toNumber(item.size, 0),
+        seeds: toNumber(item.seeds, 0),
+        leechs: toNumber(item.leechs, 0),
+        source: String(item.module_title || item.module_id || "").trim(),
+      })),
+    };
+  }
+
+  async cleanSearch(searchId) {
+    await this.requestBtSearch("clean", { taskid: searchId }, "BT 검색 정리 실패");
+  }
+
+  async searchTorrents(keyword, options = {}) {
+    const timeoutMs = Math.max(5, toNumber(options.timeoutSec, 30)) * 1000;
+    const limit = Math.max(1, toNumber(options.limit, 50));
+    const searchId = await this.startSearch(keyword);
+    const startedAt = Date.now();
+
+    try {
+      let result = await this.listSearchResults(searchId, limit);
+      while (!result.finished && Date.now() - startedAt < timeoutMs) {
+        await sleep(2000);
+        result = await this.listSearchResults(searchId, limit);
+      }
+
+      const items = result.items.filter((item) => item.uri).sort((a, b) => b.seeds - a.seeds);
+      return { ...result, items };
+    } finally {
+      await this.cleanSearch(searchId).catch((error) => {
+        this.debugLog("BT search clean failed", { searchId, message: error.message });
+      });
+    }
+  }
+
+  async listTaskFiles(taskId) {
+    const id = String(taskId || "").trim();
+    if (!id) {
+      throw new Error("작업 ID가 비어 있습니다.");
+    }
+
+    return this.runWithRetry(async () => {
+      const { task, btFile } = await this.queryApiInfo();
+
+      if (btFile) {
+        const query = new URLSearchParams({
+          api: "SYNO.DownloadStation2.Task.BT.File",
+          version: String(btFile.maxVersion),
+          method: "list",
+          task_id: JSON.stringify(id),
+          offset: "0",
+          limit: "-1",
+          _sid: this.sid,
+        });
+
+        const response = await this.http.get(`/webapi/${btFile.path}?${query.toString()}`);
+        this.assertHttpOk(response, "작업 파일 목록 조회 실패");
+        this.assertSynologySuccess(response.data, "작업 파일 목록 조회 실패");
+
+        const items = Array.isArray(response.data?.data?.items) ? response.data.data.items : [];
+        return items.map((item, position) => ({
+          index: toNumber(item.index, position),
+          name: String(item.name || item.filename || ""),
+          size: toNumber(item.size, 0),
+          wanted: item.wanted !== false,
+        }));
+      }
+
+      const query = new URLSearchParams({
+        api: "SYNO.DownloadStation.Task",
+        version: String(task.maxVersion),
+        method: "getinfo",
+        id,
+        additional: "file",
+        _sid: this.sid,
+      });
+
+      const response = await this.http.get(`/webapi/${task.path}?${query.toString()}`);
+      this.assertHttpOk(response, "작업 파일 목록 조회 실패");
+      this.assertSynologySuccess(response.data, "작업 파일 목록 조회 실패");
+
+      const files = response.data?.data?.tasks?.[0]?.additional?.file;
+      return (Array.isArray(files) ? files : []).map((file, position) => ({
+        index: position,
+        name: String(file.filename || ""),
+        size: toNumber(file.size, 0),
+        wanted: file.priority !== "skip",
+      }));
+    });
+  }
+
+  async setTaskFilesWanted(taskId, fileIndexes, wanted) {
+    const id = String(taskId || "").trim();
+    const indexes = (Array.isArray(fileIndexes) ? fileIndexes : [fileIndexes])
+      .map((index) => toNumber(index, -1))
+      .filter((index) => index >= 0);
+
+    if (!id || indexes.length === 0) {
+      return;
+    }
+
+    return this.runWithRetry(async () => {
+      const { btFile } = await this.queryApiInfo();
+      if (!btFile) {
+        throw new Error("이 NAS의 Download Station은 파일 단위 선택을 지원하지 않습니다. (DSM 7 이상 필요)");
+      }
+
+      const payload = {
+        api: "SYNO.DownloadStation2.Task.BT.File",
+        version: String(btFile.maxVersion),
+        method: "set",
+        task_id: JSON.stringify(id),
+        index: JSON.stringify(indexes),
+        wanted: wanted ? "true" : "false",
+        _sid: this.sid,
+      };
+
+      this.debugLog("set task files wanted", { taskId: id, count: indexes.length, wanted });
+
+      const response = await this.http.post(
+        `/webapi/${btFile.path}`,
+        new URLSearchParams(payload).toString(),
+        {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+        },
+      );
+
+      this.assertHttpOk(response, "작업 파일 선택 변경 실패");
+      this.assertSynologySuccess(response.data, "작업 파일 선택 변경 실패");
+    });
+  }
+
+  async listTasks(options = {}) {
+    const offset = toNumber(options.offset, 0);
+    const limit = Math.max(1, toNumber(options.limit, 50));
+
+    return this.runWithRetry(async () => {
+      const { task, task2 } = await this.queryApiInfo();
+      if (task2) {
+        const query = new URLSearchParams({
+          api: "SYNO.DownloadStation2.Task",
+          version: String(task2.maxVersion),
+          method: "list",
+          offset: String(offset),
+          limit: String(limit),
+          additional: JSON.stringify(["detail", "transfer", "tracker"]),
+          _sid: this.sid,
+        });
+
+        const response = await this.http.get(`/webapi/${task2.path}?${query.toString()}`);
+        this.assertHttpOk(response, "작업 목록 조회 실패");
+        this.assertSynologySuccess(response.data, "작업 목록 조회 실패");
+        const data = response.data?.data || {};
+        const tasks = Array.isArray(data.task) ? data.task : Array.isArray(data.tasks) ? data.tasks : [];
+        return {
+          offset: toNumber(data.offset, offset),
+          total: toNumber(data.total, tasks.length),
+          tasks: tasks.map(normalizeTask2),
+        };
+      }
+
+      const query = new URLSearchParams({
+        api: "SYNO.DownloadStation.Task",
+        version: String(task.maxVersion),
+        method: "list",
+        offset: String(offset),
+        limit: String(limit),
+        additional: "detail,transfer,tracker",
+        _sid: this.sid,
+      });
+
+      const response = await this.http.get(`/webapi/${task.path}?${query.toString()}`);
+      this.assertHttpOk(response, "작업 목록 조회 실패");
+      this.assertSynologySuccess(response.data, "작업 목록 조회 실패");
+      return response.data?.data || { tasks: [], total: 0 };
+    });
+  }
+
+  async getTaskSnapshot(maxTasks = 200) {
+    const safeMax = Math.max(1, toNumber(maxTasks, 200));
+    const pageSize = 50;
+    const tasks = [];
+    let offset = 0;
+    let total = 0;
+
+    while (tasks.length < safeMax) {
+      const data = await this.listTasks({
+        offset,
+        limit: Math.min(pageSize, safeMax - tasks.length),
+      });
+      const page = Array.isArray(data.tasks) ? data.tasks : [];
+      total = Math.max(total, toNumber(data.total, page.length));
+      tasks.push(...page);
+
+      if (page.length === 0 || tasks.length >= total) {
+        break;
+      }
+      offset += page.length;
+    }
+
+    return {
+      total: Math.max(total, tasks.length),
+      tasks,
+    };
+  }
+
+  async runWithRetry(action) {
+    await this.login();
+    try {
+      return await action();
+    } catch (error) {
+      if (error && error.isSessionError) {
+        await this.login(true);
+        return action();
+      }
+      throw error;
+    }
+  }
+
+  assertHttpOk(response, prefix) {
+    if (response.status >= 400) {
+      throw new Error(`${prefix}: HTTP ${response.status}`);
+    }
+  }
+
+  assertSynologySuccess(data, prefix) {
+    if (data && data.success) return;
+
+    const code = data?.error?.code;
+    const error = new Error(code ? `${prefix} (code: ${code})` : prefix);
+    if (SESSION_ERROR_CODES.includes(code)) {
+      error.isSessionError = true;
+    }
+    throw error;
+  }
+}
+
+module.exports = { isTransientNasError, SynologyDownloadStation };
@@ -0,0 +1,74 @@
+const { SynologyDownloadStation } = require("./synology");
+
+// The NAS boxes this bot talks to and which one each chat uses by default.
+function createTargets(app) {
+  const { stateStore, settings } = app;
+  const { synologyTargets } = app.config;
+
+  const CHAT_TARGETS_KEY = "chatTargets";
+
+  const DEVICE_TOKEN_KEY = "synologyDeviceId";
+
+  // The first target keeps the state keys used before multi-NAS support, so an existing
+  // state file (device token, chat destinations, speed-limit slot) carries over unchanged.
+  function targetStateKey(target, key) {
+    return target === targets[0] ? key : `${key}:${target.name}`;
+  }
+
+  const targets = [];
+  for (const { name, label, ...options } of synologyTargets) {
+    const target = { name, label, synology: null };
+    targets.push(target);
+    target.synology = new SynologyDownloadStation({
+      ...options,
+      watchImportStrict: settings.watchImportStrict,
+      // Trusted-device token from the last OTP login, so restarts do not ask for a new code.
+      deviceId: stateStore.get(targetStateKey(target, DEVICE_TOKEN_KEY), ""),
+    });
+  }
+  const defaultTarget = targets[0];
+  const multiTarget = targets.length > 1;
+
+  function findTarget(name) {
+    const key = String(name || "").trim().toLowerCase();
+    return targets.find((target) => target.name === key || target.label.toLowerCase() === key) || null;
+  }
+
+  function getTarget(name) {
+    return findTarget(name) || defaultTarget;
+  }
+
+  // "[label] " in front of per-NAS lines; empty with a single NAS so messages stay as before.
+  function targetTag(target) {
+    return multiTarget ? `[${target.label}] ` : "";
+  }
+
+  function chatTarget(chatId) {
+    return getTarget(stateStore.get(CHAT_TARGETS_KEY, {})[String(chatId)]);
+  }
+
+  function setChatTarget(chatId, target) {
+    const chatTargets = { ...stateStore.get(CHAT_TARGETS_KEY, {}) };
+    if (target && target !== defaultTarget) {
+      chatTargets[String(chatId)] = target.name;
+    } else {
+      delete chatTargets[String(chatId)];
+    }
+    stateStore.set(CHAT_TARGETS_KEY, chatTargets);
+  }
+
+  return {
+    targets,
+    defaultTarget,
+    multiTarget,
+    DEVICE_TOKEN_KEY,
+    targetStateKey,
+    findTarget,
+    getTarget,
+    targetTag,
+    chatTarget,
+    setChatTarget,
+  };
+}
+
+module.exports = { createTargets };
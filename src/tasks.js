@@ -0,0 +1,252 @@
+const { toNumber, formatBytes, formatSpeed, formatPercent, formatDuration, shortenText } = require("./util");
+const { parseMagnetUri } = require("./torrent");
+
+function parseTaskSelectors(raw) {
+  const selectors = { all: false, indexes: [], ids: [], invalid: [] };
+  const tokens = String(raw || "")
+    .split(/[\s,]+/)
+    .map((token) => token.trim())
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    if (/^all$/i.test(token)) {
+      selectors.all = true;
+      continue;
+    }
+
+    const range = /^(\d+)-(\d+)$/.exec(token);
+    if (range) {
+      const from = Math.min(Number(range[1]), Number(range[2]));
+      const to = Math.max(Number(range[1]), Number(range[2]));
+      for (let index = from; index <= to && index - from < 100; index += 1) {
+        selectors.indexes.push(index);
+      }
+      continue;
+    }
+
+    if (/^\d+$/.test(token)) {
+      selectors.indexes.push(Number(token));
+    } else if (/^[A-Za-z]+_[A-Za-z0-9]+$/.test(token)) {
+      selectors.ids.push(token);
+    } else {
+      selectors.invalid.push(token);
+    }
+  }
+
+  return selectors;
+}
+
+function taskStatusLabel(status) {
+  const map = {
+    waiting: "대기",
+    downloading: "다운로드중",
+    paused: "일시정지",
+    finishing: "마무리중",
+    hashing: "해시검사중",
+    hash_checking: "해시검사중",
+    checking: "검사중",
+    seeding: "시딩중",
+    finished: "완료",
+    error: "오류",
+    extracting: "압축해제중",
+    filehosting_waiting: "호스팅대기",
+    filehosting_downloading: "호스팅다운로드",
+  };
+  return map[status] || status || "알수없음";
+}
+
+function taskSortTime(task) {
+  return toNumber(task?.additional?.detail?.create_time, 0);
+}
+
+function taskSize(task) {
+  return toNumber(task?.size, 0);
+}
+
+function taskDownloaded(task) {
+  return toNumber(task?.additional?.transfer?.size_downloaded, 0);
+}
+
+function taskDownloadSpeed(task) {
+  return toNumber(task?.additional?.transfer?.speed_download, 0);
+}
+
+function taskUploadSpeed(task) {
+  return toNumber(task?.additional?.transfer?.speed_upload, 0);
+}
+
+function taskDestination(task) {
+  return String(task?.additional?.detail?.destination || "").trim();
+}
+
+// Only magnet tasks carry their info hash; tasks from .torrent uploads return "".
+function taskInfoHash(task) {
+  const uri = String(task?.additional?.detail?.uri || "");
+  return uri.startsWith("magnet:") ? parseMagnetUri(uri).infoHash : "";
+}
+
+function taskErrorDetail(task) {
+  return String(task?.status_extra?.error_detail || "").trim();
+}
+
+function isCompletedTask(task) {
+  const status = String(task?.status || "").toLowerCase();
+  if (status === "finished" || status === "seeding") {
+    return true;
+  }
+
+  // Some DSM versions may move completed tasks to paused instead of finished/seeding.
+  if (status === "paused") {
+    const size = taskSize(task);
+    const downloaded = taskDownloaded(task);
+    if (size > 0 && downloaded >= size) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+const ACTIVE_STATUSES = new Set([
+  "waiting",
+  "downloading",
+  "finishing",
+  "hashing",
+  "hash_checking",
+  "checking",
+  "seeding",
+  "extracting",
+  "filehosting_waiting",
+  "filehosting_downloading",
+]);
+
+function taskTrackerHosts(task) {
+  const urls = [];
+  const trackers = task?.additional?.tracker;
+  if (Array.isArray(trackers)) {
+    for (const tracker of trackers) {
+      urls.push(String(tracker?.url || ""));
+    }
+  }
+
+  const uri = String(task?.additional?.detail?.uri || "");
+  if (uri.startsWith("magnet:")) {
+    urls.push(...parseMagnetUri(uri).trackers);
+  }
+
+  const hosts = new Set();
+  for (const url of urls) {
+    try {
+      hosts.add(new URL(url).hostname.toLowerCase());
+    } catch (_error) {
+      // Ignore tracker entries that are not URLs (DHT, PEX, ...).
+    }
+  }
+  return [...hosts];
+}
+
+const TASK_LIST_FILTERS = {
+  act: { label: "진행중", match: (task) => ACTIVE_STATUSES.has(task.status) },
+  dl: { label: "다운로드", match: (task) => task.status === "downloading" || task.status === "waiting" },
+  pa: { label: "일시정지", match: (task) => task.status === "paused" },
+  err: { label: "오류", match: (task) => task.status === "error" },
+  seed: { label: "시딩", match: (task) => task.status === "seeding" },
+  all: { label: "전체", match: () => true },
+};
+
+const TASK_LIST_FILTER_ALIASES = {
+  active: "act",
+  downloading: "dl",
+  download: "dl",
+  paused: "pa",
+  pause: "pa",
+  error: "err",
+  seeding: "seed",
+  all: "all",
+};
+
+function formatTaskLine(task, number) {
+  const size = taskSize(task);
+  const downloaded = taskDownloaded(task);
+  const speed = taskDownloadSpeed(task);
+
+  let progressText = "-";
+  if (size > 0) {
+    progressText = `${formatBytes(downloaded)} / ${formatBytes(size)} (${formatPercent(downloaded / size)})`;
+  } else if (task.status === "finished") {
+    progressText = "완료";
+  } else if (downloaded > 0) {
+    progressText = `${formatBytes(downloaded)} 다운로드됨`;
+  }
+
+  const speedText = speed > 0 ? ` | ↓ ${formatSpeed(speed)}` : "";
+  return `${number}. ${taskStatusLabel(task.status)} | ${progressText}${speedText} | ${shortenText(task.title)}`;
+}
+
+function formatTaskDetail(task) {
+  const detail = task?.additional?.detail || {};
+  const size = taskSize(task);
+  const downloaded = taskDownloaded(task);
+  const uploaded = toNumber(task?.additional?.transfer?.size_uploaded, 0);
+  const createdSec = toNumber(detail.create_time, 0);
+  const errorDetail = taskErrorDetail(task);
+
+  const lines = [
+    `${shortenText(task.title, 120)}`,
+    `- ID: ${task.id}`,
+    `- 상태: ${taskStatusLabel(task.status)}${errorDetail ? ` (${errorDetail})` : ""}`,
+    `- 진행: ${formatBytes(downloaded)} / ${formatBytes(size)}${size > 0 ? ` (${formatPercent(downloaded / size)})` : ""}`,
+    `- 속도: ↓ ${formatSpeed(taskDownloadSpeed(task))} | ↑ ${formatSpeed(taskUploadSpeed(task))}`,
+    `- 업로드: ${formatBytes(uploaded)}${downloaded > 0 ? ` (비율 ${(uploaded / downloaded).toFixed(2)})` : ""}`,
+    `- 피어: ${toNumber(detail.connected_peers, 0)}명 연결 / 전체 ${toNumber(detail.total_peers, 0)}명`,
+    `- 저장 위치: ${taskDestination(task) || "기본 경로"}`,
+  ];
+  if (createdSec > 0) {
+    lines.push(`- 등록: ${new Date(createdSec * 1000).toLocaleString("ko-KR")}`);
+  }
+  return lines.join("\n");
+}
+
+function formatTaskProgress(task) {
+  const detail = task?.additional?.detail || {};
+  const size = taskSize(task);
+  const downloaded = taskDownloaded(task);
+  const speed = taskDownloadSpeed(task);
+  const remaining = Math.max(0, size - downloaded);
+
+  let etaText = "-";
+  if (isCompletedTask(task)) {
+    etaText = "완료";
+  } else if (speed > 0 && size > 0) {
+    etaText = formatDuration(remaining / speed);
+  }
+
+  return [
+    `- 상태: ${taskStatusLabel(task.status)}`,
+    `- 진행: ${formatBytes(downloaded)} / ${formatBytes(size)}${size > 0 ? ` (${formatPercent(downloaded / size)})` : ""}`,
+    `- 속도: ↓ ${formatSpeed(speed)} | ↑ ${formatSpeed(taskUploadSpeed(task))}`,
+    `- 남은 시간: ${etaText}`,
+    `- 피어: ${toNumber(detail.connected_peers, 0)}명 (시드 ${toNumber(detail.connected_seeders, 0)} / 전체 ${toNumber(detail.total_peers, 0)})`,
+  ].join("\n");
+}
+
+module.exports = {
+  parseTaskSelectors,
+  taskStatusLabel,
+  taskSortTime,
+  taskSize,
+  taskDownloaded,
+  taskDownloadSpeed,
+  taskUploadSpeed,
+  taskDestination,
+  taskInfoHash,
+  taskErrorDetail,
+  isCompletedTask,
+  ACTIVE_STATUSES,
+  taskTrackerHosts,
+  TASK_LIST_FILTERS,
+  TASK_LIST_FILTER_ALIASES,
+  formatTaskLine,
+  formatTaskDetail,
+  formatTaskProgress,
+};
@@ -0,0 +1,312 @@
+const crypto = require("crypto");
+const { toNumber, formatBytes, shortenText } = require("./util");
+const { findTorrentInfoSection, decodeBencodeValue, toUtf8String } = require("./bencode");
+
+function sanitizeTorrentFilename(name) {
+  const input = typeof name === "string" ? name : "";
+  const hasExt = input.toLowerCase().endsWith(".torrent");
+  const base = hasExt ? input.slice(0, -8) : input;
+
+  const ascii = base
+    .normalize("NFKD")
+    .replace(/[^\x20-\x7E]/g, "")
+    .replace(/[^A-Za-z0-9._-]/g, "_")
+    .replace(/_+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+  const safeBase = ascii || `upload_${Date.now()}`;
+  return `${safeBase}.torrent`;
+}
+
+let parseTorrentModulePromise = null;
+
+async function getParseTorrent() {
+  if (!parseTorrentModulePromise) {
+    parseTorrentModulePromise = import("parse-torrent").then((mod) => mod.default || mod);
+  }
+  return parseTorrentModulePromise;
+}
+
+function collectTrackers(value, out) {
+  if (!value) return;
+  if (Buffer.isBuffer(value)) {
+    const tracker = value.toString("utf8").trim();
+    if (tracker) out.push(tracker);
+    return;
+  }
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      collectTrackers(item, out);
+    }
+  }
+}
+
+function extractTorrentMetadata(fileBuffer) {
+  const infoSection = findTorrentInfoSection(fileBuffer);
+  if (!infoSection) {
+    return null;
+  }
+
+  const infoHash = crypto.createHash("sha1").update(infoSection).digest("hex");
+  const rootDecoded = decodeBencodeValue(fileBuffer, 0);
+  const root = rootDecoded?.value;
+  if (!root || typeof root !== "object" || Array.isArray(root) || Buffer.isBuffer(root)) {
+    return {
+      infoSection,
+      infoHash,
+      displayName: "",
+      trackers: [],
+      files: [],
+      totalSize: 0,
+    };
+  }
+
+  const infoDict =
+    root.info && typeof root.info === "object" && !Array.isArray(root.info) && !Buffer.isBuffer(root.info)
+      ? root.info
+      : null;
+
+  const displayName = toUtf8String(infoDict?.["name.utf-8"] || infoDict?.name).trim();
+  const trackers = [];
+  const announce = toUtf8String(root.announce).trim();
+  if (announce) {
+    trackers.push(announce);
+  }
+  collectTrackers(root["announce-list"], trackers);
+
+  const files = collectTorrentFiles(infoDict, displayName);
+  const totalSize = files.reduce((sum, file) => sum + file.length, 0);
+
+  return {
+    infoSection,
+    infoHash,
+    displayName,
+    trackers: [...new Set(trackers.filter(Boolean))],
+    files,
+    totalSize,
+  };
+}
+
+function collectTorrentFiles(infoDict, displayName) {
+  if (!infoDict) return [];
+
+  if (!Array.isArray(infoDict.files)) {
+    return [{ path: displayName || "이름없음", length: Math.max(0, toNumber(infoDict.length, 0)) }];
+  }
+
+  const files = [];
+  for (const entry of infoDict.files) {
+    if (!entry || typeof entry !== "object" || Buffer.isBuffer(entry) || Array.isArray(entry)) continue;
+
+    const rawPath = Array.isArray(entry["path.utf-8"]) ? entry["path.utf-8"] : entry.path;
+    const segments = (Array.isArray(rawPath) ? rawPath : [rawPath]).map((part) => toUtf8String(part)).filter(Boolean);
+    // BEP 47 padding files are not real content.
+    if (segments[0] === ".pad" || toUtf8String(entry.attr).includes("p")) continue;
+
+    files.push({
+      index: files.length,
+      path: segments.join("/") || "이름없음",
+      length: Math.max(0, toNumber(entry.length, 0)),
+    });
+  }
+  return files;
+}
+
+function base32ToHex(value) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  let bits = "";
+  for (const char of String(value || "").toUpperCase()) {
+    const idx = alphabet.indexOf(char);
+    if (idx === -1) return "";
+    bits += idx.toString(2).padStart(5, "0");
+  }
+
+  let hex = "";
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+  return hex;
+}
+
+function resolveSkippedTaskFiles(taskFiles, torrentFiles, selectedIndexes) {
+  const normalize = (value) =>
+    String(value || "")
+      .replace(/\\/g, "/")
+      .replace(/^\/+/, "");
+  const sameLength = taskFiles.length === torrentFiles.length;
+  const skipIndexes = [];
+  let unmatched = 0;
+
+  torrentFiles.forEach((file, position) => {
+    if (selectedIndexes.has(file.index)) return;
+
+    const wanted = normalize(file.path);
+    const byName = taskFiles.find((item) => {
+      const name = normalize(item.name);
+      return name === wanted || name.endsWith(`/${wanted}`);
+    });
+    // Without a name match, the same position only counts when the sizes agree as well.
+    const byPosition = sameLength && taskFiles[position]?.size === file.length ? taskFiles[position] : null;
+    const matched = byName || byPosition;
+    if (matched) {
+      skipIndexes.push(matched.index);
+    } else {
+      unmatched += 1;
+    }
+  });
+
+  return { skipIndexes: [...new Set(skipIndexes)], unmatched };
+}
+
+function parseMagnetUri(magnet) {
+  const raw = String(magnet || "");
+  const queryIdx = raw.indexOf("?");
+  const params = new URLSearchParams(queryIdx === -1 ? "" : raw.slice(queryIdx + 1));
+
+  let infoHash = "";
+  for (const xt of params.getAll("xt")) {
+    const match = /^urn:btih:([0-9a-z]+)$/i.exec(xt.trim());
+    if (!match) continue;
+    const hash = match[1];
+    if (/^[0-9a-f]{40}$/i.test(hash)) {
+      infoHash = hash.toLowerCase();
+    } else if (hash.length === 32) {
+      infoHash = base32ToHex(hash);
+    }
+    if (infoHash) break;
+  }
+
+  return {
+    infoHash,
+    displayName: String(params.get("dn") || "").trim(),
+    trackers: [...new Set(params.getAll("tr").map((tr) => tr.trim()).filter(Boolean))],
+    totalSize: Math.max(0, toNumber(params.get("xl"), 0)),
+  };
+}
+
+function buildMagnetFromInfoSection(infoSection, metadata = {}) {
+  if (!Buffer.isBuffer(infoSection) || infoSection.length === 0) {
+    return null;
+  }
+
+  const infoHashHex = crypto.createHash("sha1").update(infoSection).digest("hex");
+  const parts = [`xt=urn:btih:${infoHashHex}`];
+
+  const displayName = typeof metadata.displayName === "string" ? metadata.displayName.trim() : "";
+  if (displayName) {
+    parts.push(`dn=${encodeURIComponent(displayName)}`);
+  }
+
+  const trackers = Array.isArray(metadata.trackers) ? metadata.trackers : [];
+  for (const tracker of trackers) {
+    const cleanTracker = typeof tracker === "string" ? tracker.trim() : "";
+    if (cleanTracker) {
+      parts.push(`tr=${encodeURIComponent(cleanTracker)}`);
+    }
+  }
+
+  return `magnet:?${parts.join("&")}`;
+}
+
+async function buildMagnetFromTorrentBuffer(fileBuffer, debugLog) {
+  const errors = [];
+
+  try {
+    const parseTorrent = await getParseTorrent();
+    const parsed = await parseTorrent(fileBuffer);
+    if (parsed?.magnetURI) {
+      return parsed.magnetURI;
+    }
+    errors.push("parse-torrent 결과에 magnetURI가 없습니다.");
+  } catch (error) {
+    errors.push(`parse-torrent 실패: ${error.message}`);
+  }
+
+  try {
+    const metadata = extractTorrentMetadata(fileBuffer);
+    if (!metadata?.infoSection) {
+      errors.push("torrent info 섹션을 찾지 못했습니다.");
+    } else {
+      const magnet = buildMagnetFromInfoSection(metadata.infoSection, metadata);
+      if (magnet) {
+        if (typeof debugLog === "function") {
+          debugLog("torrent->magnet 내장 파서 fallback", {
+            hasName: Boolean(metadata.displayName),
+            trackerCount: Array.isArray(metadata.trackers) ? metadata.trackers.length : 0,
+          });
+        }
+        return magnet;
+      }
+      errors.push("info hash로 magnet URI를 생성하지 못했습니다.");
+    }
+  } catch (error) {
+    errors.push(`내장 bencode 파서 실패: ${error.message}`);
+  }
+
+  if (typeof debugLog === "function" && errors.length > 0) {
+    debugLog("torrent->magnet 변환 실패", { errors });
+  }
+
+  return null;
+}
+
+function formatSubmissionPreview(submission) {
+  const metadata = submission.metadata || {};
+  const isTorrent = submission.kind === "torrent";
+  const titles = { torrent: "토렌트 파일 미리보기", url: "다운로드 링크 미리보기" };
+  const lines = [titles[submission.kind] || "마그넷 링크 미리보기"];
+
+  lines.push(`- 이름: ${shortenText(metadata.displayName || submission.fileName || "", 80)}`);
+  if (isTorrent) {
+    const files = Array.isArray(metadata.files) ? metadata.files : [];
+    lines.push(`- 전체 크기: ${formatBytes(metadata.totalSize)}`);
+    lines.push(`- 파일 수: ${files.length}개`);
+    if (submission.selectedFiles && submission.selectedFiles.size < files.length) {
+      const selectedSize = files
+        .filter((file) => submission.selectedFiles.has(file.index))
+        .reduce((sum, file) => sum + file.length, 0);
+      lines.push(`- 선택된 파일: ${submission.selectedFiles.size}/${files.length}개 (${formatBytes(selectedSize)})`);
+    }
+  } else if (metadata.totalSize > 0) {
+    lines.push(`- 전체 크기: ${formatBytes(metadata.totalSize)}`);
+  } else {
+    lines.push("- 전체 크기: 알수없음 (마그넷 메타데이터 수신 전)");
+  }
+  if (submission.kind === "url") {
+    lines.push(`- 주소: ${shortenText(submission.uri, 80)}`);
+  } else {
+    lines.push(`- 트래커: ${Array.isArray(metadata.trackers) ? metadata.trackers.length : 0}개`);
+    lines.push(`- 해시: ${metadata.infoHash || "알수없음"}`);
+  }
+
+  const largestFiles = (Array.isArray(metadata.files) ? metadata.files : [])
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .slice(0, 5);
+  if (isTorrent && largestFiles.length > 1) {
+    lines.push("- 큰 파일:");
+    largestFiles.forEach((file, index) => {
+      lines.push(`  ${index + 1}. ${shortenText(file.path, 60)} (${formatBytes(file.length)})`);
+    });
+  }
+
+  if (submission.category) {
+    lines.push(`- 자동 분류: ${submission.category.name} → ${submission.category.destination}`);
+  }
+
+  if (submission.metadataError) {
+    lines.push(`- 참고: 메타데이터 해석 실패 (${submission.metadataError})`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  sanitizeTorrentFilename,
+  extractTorrentMetadata,
+  base32ToHex,
+  resolveSkippedTaskFiles,
+  parseMagnetUri,
+  buildMagnetFromTorrentBuffer,
+  formatSubmissionPreview,
+};
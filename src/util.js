@@ -0,0 +1,116 @@
+function getEnv(name, fallback = "") {
+  const value = process.env[name];
+  if (value == null || value === "") {
+    if (fallback !== "") {
+      return fallback;
+    }
+    throw new Error(`필수 환경변수 누락: ${name}`);
+  }
+  return value;
+}
+
+function parseBoolean(value, fallback = false) {
+  if (value == null || value === "") {
+    return fallback;
+  }
+  return /^(1|true|yes|on)$/i.test(value.trim());
+}
+
+function parseCommaList(raw) {
+  return (raw || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function normalizeDestination(value) {
+  return String(value || "")
+    .trim()
+    .replace(/^\/+|\/+$/g, "");
+}
+
+function sleep(ms) {
+  const delay = Math.max(0, toNumber(ms, 0));
+  return new Promise((resolve) => {
+    setTimeout(resolve, delay);
+  });
+}
+
+function toNumber(value, fallback = 0) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function formatBytes(bytes) {
+  const value = toNumber(bytes, 0);
+  if (value <= 0) return "0 B";
+
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let scaled = value;
+  let unitIdx = 0;
+
+  while (scaled >= 1024 && unitIdx < units.length - 1) {
+    scaled /= 1024;
+    unitIdx += 1;
+  }
+
+  const precision = scaled >= 100 || unitIdx === 0 ? 0 : 1;
+  return `${scaled.toFixed(precision)} ${units[unitIdx]}`;
+}
+
+function formatSpeed(bytesPerSec) {
+  return `${formatBytes(bytesPerSec)}/s`;
+}
+
+function formatPercent(ratio) {
+  const num = toNumber(ratio, 0);
+  const clamped = Math.min(1, Math.max(0, num));
+  return `${(clamped * 100).toFixed(1)}%`;
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(toNumber(seconds, 0)));
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+
+  if (days > 0) return `${days}일 ${hours}시간`;
+  if (hours > 0) return `${hours}시간 ${minutes}분`;
+  if (minutes > 0) return `${minutes}분`;
+  return `${total}초`;
+}
+
+function shortenText(text, limit = 46) {
+  if (!text) return "이름없음";
+  if (text.length <= limit) return text;
+  if (limit <= 3) return text.slice(0, limit);
+  return `${text.slice(0, limit - 3)}...`;
+}
+
+function parseSize(value) {
+  if (typeof value === "number") return Math.max(0, value);
+  const match = /^\s*([\d.]+)\s*([KMGT]?)i?B?\s*$/i.exec(String(value || ""));
+  if (!match) return 0;
+  const power = { "": 0, K: 1, M: 2, G: 3, T: 4 }[match[2].toUpperCase()];
+  return Math.round(Number(match[1]) * 1024 ** power);
+}
+
+function isMessageNotModifiedError(error) {
+  return /message is not modified/i.test(String(error?.description || error?.message || ""));
+}
+
+module.exports = {
+  getEnv,
+  parseBoolean,
+  parseCommaList,
+  normalizeDestination,
+  sleep,
+  toNumber,
+  formatBytes,
+  formatSpeed,
+  formatPercent,
+  formatDuration,
+  shortenText,
+  parseSize,
+  isMessageNotModifiedError,
+};
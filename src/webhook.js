@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const { readJsonBody, sendText } = require("./http-server");
+
+const SECRET_HEADER = "x-telegram-bot-api-secret-token";
+
+// Receives Telegram updates by webhook when WEBHOOK_URL is set, and by long polling otherwise.
+function createWebhook(app) {
+  const { bot, addHttpRoute } = app;
+  const { webhookUrl, webhookPath, webhookSecretToken } = app.config;
+
+  const inFlightUpdates = new Set();
+
+  function trackUpdate(promise, label) {
+    const handling = promise
+      .catch((error) => {
+        console.error(`${label}:`, error);
+      })
+      .finally(() => inFlightUpdates.delete(handling));
+    inFlightUpdates.add(handling);
+  }
+
+  // Handlers can wait a long time on the NAS: a torrent upload, or a login that waits for an
+  // admin's 2-step verification code. Telegraf's polling loop awaits every update of a batch before
+  // fetching the next one, so a handler waiting on that login would keep the admin's code from ever
+  // being fetched. The rest of the middleware chain therefore runs detached from the update.
+  bot.use((ctx, next) => {
+    trackUpdate(Promise.resolve().then(next), "Telegram bot error");
+  });
+
+  function hasValidSecret(req) {
+    const expected = Buffer.from(webhookSecretToken);
+    const received = Buffer.from(String(req.headers[SECRET_HEADER] || ""));
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  // Answers 200 before handling the update, since Telegram resends updates it gets no answer for.
+  async function handleWebhookRequest(req, res) {
+    if (!hasValidSecret(req)) {
+      sendText(res, 403);
+      return;
+    }
+    const update = await readJsonBody(req);
+    sendText(res, 200);
+
+    trackUpdate(bot.handleUpdate(update), "Telegram update handling failed");
+  }
+
+  if (webhookUrl) {
+    addHttpRoute("POST", webhookPath, handleWebhookRequest);
+  }
+
+  // Expects the HTTP server to be listening already in webhook mode, since Telegram starts
+  // posting queued updates as soon as the webhook is set.
+  async function startTelegramUpdates() {
+    if (!webhookUrl) {
+      // launch() only resolves once polling stops, so it must not block the caller.
+      bot.launch().catch((error) => {
+        console.error("Telegram polling stopped:", error);
+        process.exit(1);
+      });
+      return;
+    }
+
+    await bot.telegram.setWebhook(webhookUrl, { secret_token: webhookSecretToken });
+    console.log(`[synology-auto-bot] Telegram webhook set: ${webhookUrl} (listening on ${webhookPath})`);
+  }
+
+  // The webhook stays registered so Telegram holds updates while the bot restarts.
+  async function stopTelegramUpdates(signal) {
+    if (!webhookUrl) {
+      bot.stop(signal);
+    }
+    // Give updates that are being handled a moment to finish, without hanging on a long one.
+    // Finishing updates can hand work to detached handlers, so wait until the set stays empty.
+    let timer;
+    let timedOut = false;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(resolve, 10000);
+    }).then(() => {
+      timedOut = true;
+    });
+    while (inFlightUpdates.size > 0 && !timedOut) {
+      await Promise.race([Promise.allSettled([...inFlightUpdates]), timeout]);
+    }
+    clearTimeout(timer);
+  }
+
+  return { handleWebhookRequest, startTelegramUpdates, stopTelegramUpdates };
+}
+
+module.exports = { createWebhook };
@@ -0,0 +1,197 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { Telegram } = require("telegraf");
+const { fetchFeed, feedItemMatches } = require("../src/feed");
+const { loadConfig } = require("../src/config");
+const { createApp } = require("../index");
+const { startFakeDsm } = require("./helpers/fake-dsm");
+const { buildTorrent } = require("./helpers/torrent");
+const { withEnv } = require("./helpers/env");
+
+const magnet = (char, name) => `magnet:?xt=urn:btih:${char.repeat(40)}&amp;dn=${name}`;
+
+// Local stand-in for a feed site: `paths` maps a URL path to [content type, body]. A body can be a
+// function of the server's base URL, for feeds that link back to the server.
+async function withFeedServer(paths, run) {
+  const server = http.createServer((req, res) => {
+    const entry = paths[req.url];
+    if (!entry) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": entry[0] });
+    res.end(typeof entry[1] === "function" ? entry[1](`http://${req.headers.host}`) : entry[1]);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function rss(items) {
+  return `<?xml version="1.0"?>
+<rss version="2.0" xmlns:torrent="http://xmlns.ezrss.it/0.1/">
+  <channel>
+    <title>Test Tracker</title>
+    ${items.join("\n    ")}
+  </channel>
+</rss>`;
+}
+
+test("fetchFeed reads magnets and .torrent enclosures from RSS items", () =>
+  withFeedServer(
+    {
+      "/rss": [
+        "application/rss+xml",
+        rss([
+          `<item><title>Show S01E02 1080p</title><guid>g2</guid><torrent:magnetURI><![CDATA[${magnet("a", "e02").replace("&amp;", "&")}]]></torrent:magnetURI></item>`,
+          `<item><title>Show S01E01 1080p</title><guid>g1</guid><enclosure url="http://t.example/dl?id=1" type="application/x-bittorrent" length="1"/></item>`,
+          `<item><title>Notes</title><link>http://t.example/notes</link><description>get it: ${magnet("b", "notes")}</description></item>`,
+          "<item><title>Plain page</title><link>http://t.example/page</link></item>",
+          // Decoded once: the text is "magnet:?...&dn=a&lt;b", not "...&dn=a<b".
+          `<item><title>Escaped</title><guid>g5</guid><description>${magnet("e", "a&amp;lt;b")}</description></item>`,
+        ]),
+      ],
+      "/html": ["text/html", "<html><body>not a feed</body></html>"],
+    },
+    async (base) => {
+      const feed = await fetchFeed(`${base}/rss`);
+
+      assert.equal(feed.title, "Test Tracker");
+      assert.deepEqual(
+        feed.items.map((item) => [item.guid, item.magnet, item.torrentUrl]),
+        [
+          ["g2", `magnet:?xt=urn:btih:${"a".repeat(40)}&dn=e02`, ""],
+          ["g1", "", "http://t.example/dl?id=1"],
+          ["http://t.example/notes", `magnet:?xt=urn:btih:${"b".repeat(40)}&dn=notes`, ""],
+          ["http://t.example/page", "", ""],
+          ["g5", `magnet:?xt=urn:btih:${"e".repeat(40)}&dn=a&lt;b`, ""],
+        ],
+      );
+      await assert.rejects(fetchFeed(`${base}/html`), /RSS\/Atom 피드 형식이 아닙니다/);
+    },
+  ));
+
+test("fetchFeed reads Atom entries with magnet links and enclosure links", () =>
+  withFeedServer(
+    {
+      "/atom": [
+        "application/atom+xml",
+        `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom Tracker</title>
+  <entry>
+    <title>Movie 2160p</title>
+    <id>urn:movie</id>
+    <link href="http://t.example/movie"/>
+    <link rel="enclosure" type="application/x-bittorrent" href="http://t.example/movie.torrent"/>
+  </entry>
+  <entry>
+    <title>Album</title>
+    <id>urn:album</id>
+    <link href="${magnet("c", "album")}"/>
+  </entry>
+</feed>`,
+      ],
+    },
+    async (base) => {
+      const feed = await fetchFeed(`${base}/atom`);
+
+      assert.equal(feed.title, "Atom Tracker");
+      assert.deepEqual(
+        feed.items.map((item) => [item.guid, item.title, item.link, item.magnet, item.torrentUrl]),
+        [
+          ["urn:movie", "Movie 2160p", "http://t.example/movie", "", "http://t.example/movie.torrent"],
+          ["urn:album", "Album", `magnet:?xt=urn:btih:${"c".repeat(40)}&dn=album`, `magnet:?xt=urn:btih:${"c".repeat(40)}&dn=album`, ""],
+        ],
+      );
+    },
+  ));
+
+test("feedItemMatches applies include and exclude to the title, ignoring case", () => {
+  const subscription = { include: "S\\d+E\\d+.*1080p", exclude: "HDTS|CAM" };
+  assert.equal(feedItemMatches(subscription, { title: "Show S01E01 1080P WEB" }), true);
+  assert.equal(feedItemMatches(subscription, { title: "Show S01E01 720p" }), false);
+  assert.equal(feedItemMatches(subscription, { title: "Show S01E01 1080p cam" }), false);
+  assert.equal(feedItemMatches({ include: "", exclude: "" }, { title: "anything" }), true);
+});
+
+test("checkRssSubscription submits new matching items once and remembers what it has seen", async (t) => {
+  const sent = [];
+  t.mock.method(Telegram.prototype, "callApi", async (method, payload) => {
+    if (method === "sendMessage") sent.push(payload.text);
+    return { message_id: sent.length };
+  });
+
+  let nextId = 1;
+  const dsm = await startFakeDsm({
+    api2: true,
+    handlers: {
+      "SYNO.DownloadStation2.Task.create": (params, request, state) => {
+        const id = `dbid_${nextId++}`;
+        state.tasks.push({ id, title: id, status: "waiting" });
+        return { success: true, data: { list_id: [], task_id: [id] } };
+      },
+    },
+  });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "feed-test-"));
+  const items = [
+    `<item><title>Show S01E01 1080p</title><guid>e01</guid><link>${magnet("a", "e01")}</link></item>`,
+    `<item><title>Show S01E01 720p</title><guid>e01-720</guid><link>${magnet("b", "e01-720")}</link></item>`,
+    '<item><title>Show S01E02 1080p</title><guid>e02</guid><enclosure url="/e02.torrent" type="application/x-bittorrent"/></item>',
+  ];
+
+  try {
+    await withFeedServer(
+      {
+        "/feed": ["application/rss+xml", (base) => rss(items.map((item) => item.replace('url="/', `url="${base}/`)))],
+        "/e02.torrent": ["application/x-bittorrent", buildTorrent({ name: "Show S01E02" })],
+      },
+      async (base) => {
+        await withEnv(
+          {
+            SYNOLOGY_BASE_URL: dsm.url,
+            SYNOLOGY_TORRENT_WATCH_DIR: "",
+            BOT_STATE_FILE: path.join(dataDir, "state.json"),
+          },
+          async () => {
+            const app = await createApp(await loadConfig());
+            const id = "feed1";
+            app.stateStore.set(app.RSS_SUBSCRIPTIONS_KEY, [
+              { id, chatId: "42", url: `${base}/feed`, title: "", include: "1080p", exclude: "", intervalMin: 15, seen: [] },
+            ]);
+            const check = () => app.checkRssSubscription(app.getRssSubscriptions().find((item) => item.id === id));
+            const creates = () => dsm.taskRequests("create", "SYNO.DownloadStation2.Task");
+
+            assert.deepEqual(await check(), { total: 3, fresh: 3, added: 2 });
+            assert.equal(creates().length, 2);
+            // Oldest first: the feed lists newest first.
+            assert.equal(creates()[0].params.torrent.filename, "e02.torrent");
+            assert.deepEqual(JSON.parse(creates()[1].params.url), [`magnet:?xt=urn:btih:${"a".repeat(40)}&dn=e01`]);
+            assert.equal(sent.filter((text) => text.startsWith("RSS 자동 추가 (")).length, 2);
+
+            // Nothing new: the second poll adds nothing, including the item the filter skipped.
+            assert.deepEqual(await check(), { total: 3, fresh: 0, added: 0 });
+            assert.equal(creates().length, 2);
+            assert.deepEqual(app.getRssSubscriptions()[0].seen.sort(), ["e01", "e01-720", "e02"]);
+
+            items.unshift(`<item><title>Show S01E03 1080p</title><guid>e03</guid><link>${magnet("d", "e03")}</link></item>`);
+            assert.deepEqual(await check(), { total: 4, fresh: 1, added: 1 });
+            assert.equal(creates().length, 3);
+          },
+        );
+      },
+    );
+  } finally {
+    await dsm.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,22 @@
+const BASE_ENV = {
+  TELEGRAM_BOT_TOKEN: "123:test",
+  BOT_ADMIN_IDS: "1",
+  SYNOLOGY_USERNAME: "bot",
+  SYNOLOGY_PASSWORD: "secret",
+};
+
+// Runs `run` with only the given SYNOLOGY_* / bot variables set, restoring process.env afterwards.
+async function withEnv(values, run) {
+  const saved = { ...process.env };
+  for (const key of Object.keys(process.env)) {
+    if (/^(SYNOLOGY_|BOT_|TELEGRAM_|INBOX_|WEBHOOK_|HTTP_)/.test(key)) delete process.env[key];
+  }
+  Object.assign(process.env, BASE_ENV, values);
+  try {
+    return await run();
+  } finally {
+    process.env = saved;
+  }
+}
+
+module.exports = { withEnv };
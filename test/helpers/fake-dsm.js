@@ -0,0 +1,127 @@
+const http = require("http");
+
+// Minimal stand-in for the DSM Web API. Every request is recorded with its query string and the
+// merged query/body parameters. Responses come from `handlers` keyed by "<api>.<method>"; a handler
+// may return a DSM body, or `undefined` to fall back to the default (login, task list, success).
+// `api2: true` also advertises SYNO.DownloadStation2.Task like DSM 7 does, `btFile: true` its per-file API.
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=([^;]+)/i.exec(contentType || "")?.[1];
+  const fields = {};
+  if (!boundary) return fields;
+
+  for (const part of body.toString("latin1").split(`--${boundary}`)) {
+    const match = /name="([^"]+)"(?:; filename="([^"]*)")?\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*)\r\n$/.exec(part);
+    if (!match) continue;
+    fields[match[1]] = match[2] !== undefined ? { filename: match[2], size: match[3].length } : match[3];
+  }
+  return fields;
+}
+
+async function startFakeDsm(options = {}) {
+  const handlers = { ...options.handlers };
+  const state = {
+    requests: [],
+    logins: 0,
+    tasks: options.tasks ? [...options.tasks] : [],
+    sid: "sid-1",
+  };
+
+  const respond = (res, payload) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      const body = Buffer.concat(chunks);
+      const contentType = req.headers["content-type"] || "";
+      const query = Object.fromEntries(url.searchParams);
+      const params = { ...query };
+      let multipart = false;
+      if (contentType.startsWith("application/x-www-form-urlencoded")) {
+        Object.assign(params, Object.fromEntries(new URLSearchParams(body.toString("utf8"))));
+      } else if (contentType.startsWith("multipart/form-data")) {
+        multipart = true;
+        Object.assign(params, parseMultipart(body, contentType));
+      }
+
+      const request = { path: url.pathname, query, params, multipart };
+      state.requests.push(request);
+
+      if (params.api === "SYNO.API.Info") {
+        respond(res, {
+          success: true,
+          data: {
+            "SYNO.API.Auth": { path: "auth.cgi", minVersion: 1, maxVersion: 6 },
+            "SYNO.DownloadStation.Task": { path: "DownloadStation/task.cgi", minVersion: 1, maxVersion: 3 },
+            "SYNO.DownloadStation.Info": { path: "DownloadStation/info.cgi", minVersion: 1, maxVersion: 2 },
+            ...(options.api2 && { "SYNO.DownloadStation2.Task": { path: "entry.cgi", minVersion: 1, maxVersion: 2 } }),
+            ...(options.btFile && {
+              "SYNO.DownloadStation2.Task.BT.File": { path: "entry.cgi", minVersion: 1, maxVersion: 2 },
+            }),
+          },
+        });
+        return;
+      }
+
+      const key = `${params.api}.${params.method}`;
+      try {
+        const handler = handlers[key];
+        const payload = typeof handler === "function" ? await handler(params, request, state) : undefined;
+        if (payload !== undefined) {
+          respond(res, payload);
+          return;
+        }
+      } catch (error) {
+        res.writeHead(500);
+        res.end(error.message);
+        return;
+      }
+
+      if (key === "SYNO.API.Auth.login") {
+        state.logins += 1;
+        state.sid = `sid-${state.logins}`;
+        respond(res, { success: true, data: { sid: state.sid } });
+      } else if (key === "SYNO.DownloadStation.Task.list") {
+        respond(res, { success: true, data: { total: state.tasks.length, offset: 0, tasks: state.tasks } });
+      } else if (key === "SYNO.DownloadStation2.Task.list") {
+        respond(res, { success: true, data: { total: state.tasks.length, offset: 0, task: state.tasks } });
+      } else {
+        respond(res, { success: true, data: {} });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    state,
+    handlers,
+    // Requests to the task API for `method`, in the order they arrived.
+    taskRequests(method, api = "SYNO.DownloadStation.Task") {
+      return state.requests.filter((request) => request.params.api === api && request.params.method === method);
+    },
+    close() {
+      // Node's global agent keeps connections alive, which would hold close() open.
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Returns a handler that answers with `responses` in order and then defers to the default.
+function sequence(...responses) {
+  let index = 0;
+  return () => (index < responses.length ? responses[index++] : undefined);
+}
+
+function failure(code) {
+  return { success: false, error: { code } };
+}
+
+module.exports = { startFakeDsm, sequence, failure };
@@ -0,0 +1,33 @@
+// Small bencode encoder so tests can build .torrent files without fixtures on disk.
+function bencode(value) {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([Buffer.from(`${value.length}:`), value]);
+  }
+  if (typeof value === "string") {
+    return bencode(Buffer.from(value, "utf8"));
+  }
+  if (typeof value === "number") {
+    return Buffer.from(`i${Math.trunc(value)}e`);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from("l"), ...value.map(bencode), Buffer.from("e")]);
+  }
+  const keys = Object.keys(value).sort();
+  return Buffer.concat([
+    Buffer.from("d"),
+    ...keys.flatMap((key) => [bencode(key), bencode(value[key])]),
+    Buffer.from("e"),
+  ]);
+}
+
+function buildTorrent({ name = "sample", files, length = 1024, announce = "http://tracker.example/announce" } = {}) {
+  const info = { name, "piece length": 16384, pieces: Buffer.alloc(20) };
+  if (files) {
+    info.files = files.map((file) => ({ length: file.length, path: file.path.split("/") }));
+  } else {
+    info.length = length;
+  }
+  return bencode({ announce, info });
+}
+
+module.exports = { bencode, buildTorrent };
@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Telegram } = require("telegraf");
+const { loadConfig } = require("../src/config");
+const { parseMagnetUri } = require("../src/torrent");
+const { createApp } = require("../index");
+const { startFakeDsm } = require("./helpers/fake-dsm");
+const { withEnv } = require("./helpers/env");
+
+const TASK2 = "SYNO.DownloadStation2.Task";
+const MAGNET_A = `magnet:?xt=urn:btih:${"a".repeat(40)}&dn=first`;
+const MAGNET_B = `magnet:?xt=urn:btih:${"b".repeat(40)}&dn=second`;
+
+test("inbox retry after a NAS outage submits only the magnets that did not go through", async (t) => {
+  const sent = [];
+  t.mock.method(Telegram.prototype, "callApi", async (method, payload) => {
+    if (method === "sendMessage") sent.push(payload.text);
+    return { message_id: sent.length };
+  });
+
+  let nextId = 1;
+  let failSecond = true;
+  const dsm = await startFakeDsm({
+    api2: true,
+    handlers: {
+      [`${TASK2}.create`]: (params, request, state) => {
+        const [uri] = JSON.parse(params.url);
+        if (uri === MAGNET_B && failSecond) throw new Error("NAS is restarting");
+        const id = `dbid_${nextId++}`;
+        state.tasks.push({ id, title: id, status: "waiting", additional: { detail: { uri } } });
+        return { success: true, data: { list_id: [], task_id: [id] } };
+      },
+    },
+  });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "jobs-test-"));
+  const inboxDir = path.join(dataDir, "inbox");
+  await fs.mkdir(inboxDir);
+  await fs.writeFile(path.join(inboxDir, "batch.txt"), `${MAGNET_A}\n${MAGNET_B}\n`);
+
+  try {
+    await withEnv(
+      {
+        SYNOLOGY_BASE_URL: dsm.url,
+        BOT_STATE_FILE: path.join(dataDir, "state.json"),
+        INBOX_DIR: inboxDir,
+        INBOX_SETTLE_SEC: "0",
+      },
+      async () => {
+        const app = await createApp(await loadConfig());
+        const createdUris = () => dsm.taskRequests("create", TASK2).map((request) => JSON.parse(request.params.url)[0]);
+
+        // The second magnet hits the outage, so the file stays in the inbox for the next scan.
+        assert.deepEqual(await app.processInboxNow(), { done: [], skipped: [], failed: [] });
+        assert.deepEqual(await fs.readdir(inboxDir), ["batch.txt"]);
+
+        failSecond = false;
+        assert.deepEqual(await app.processInboxNow(), {
+          done: [{ name: "batch.txt", added: 1, skipped: 1 }],
+          skipped: [],
+          failed: [],
+        });
+        assert.deepEqual(createdUris(), [MAGNET_A, MAGNET_B, MAGNET_B]);
+        assert.deepEqual(await fs.readdir(path.join(inboxDir, "done")), ["batch.txt"]);
+        assert.equal(
+          sent.at(-1),
+          "인박스 처리 결과: 등록 1건, 건너뜀 0건, 실패 0건\n✅ batch.txt (등록 1건, 이미 있어 건너뜀 1건)",
+        );
+
+        // A file with nothing new is not reported as added.
+        await fs.writeFile(path.join(inboxDir, "again.txt"), MAGNET_A);
+        await app.processInboxNow();
+        assert.equal(createdUris().length, 3);
+        assert.equal(sent.at(-1), "인박스 처리 결과: 등록 0건, 건너뜀 1건, 실패 0건\n⏭ again.txt: 이미 NAS에 있는 항목");
+      },
+    );
+  } finally {
+    await dsm.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test("retry queue drops an item the NAS created although the first answer failed", async (t) => {
+  const sent = [];
+  t.mock.method(Telegram.prototype, "callApi", async (method, payload) => {
+    if (method === "sendMessage") sent.push(payload.text);
+    return { message_id: sent.length };
+  });
+
+  const dsm = await startFakeDsm({
+    api2: true,
+    handlers: {
+      // The task is created, but the answer is lost behind a proxy error.
+      [`${TASK2}.create`]: (params, request, state) => {
+        const [uri] = JSON.parse(params.url);
+        state.tasks.push({ id: "dbid_1", title: "first", status: "waiting", additional: { detail: { uri } } });
+        throw new Error("bad gateway");
+      },
+    },
+  });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "jobs-test-"));
+
+  try {
+    await withEnv({ SYNOLOGY_BASE_URL: dsm.url, BOT_STATE_FILE: path.join(dataDir, "state.json") }, async () => {
+      const app = await createApp(await loadConfig());
+      const pending = { kind: "magnet", uri: MAGNET_A, metadata: parseMagnetUri(MAGNET_A) };
+
+      const error = await app.submitPendingSubmission(pending, "", "42").then(
+        () => assert.fail("the create answer should have failed"),
+        (submitError) => submitError,
+      );
+      const item = await app.enqueueRetry("42", pending, "", error);
+      await app.runRetryQueue(true);
+
+      assert.equal(dsm.taskRequests("create", TASK2).length, 1);
+      assert.deepEqual(app.getRetryQueue(), []);
+      assert.deepEqual(sent, [`재시도 대기열 #${item.id}: 이미 NAS에 등록되어 있어 대기열에서 뺐습니다.\nfirst`]);
+    });
+  } finally {
+    await dsm.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test("speed limit schedule leaves hand-set limits alone when it starts outside every window", async (t) => {
+  const sent = [];
+  t.mock.method(Telegram.prototype, "callApi", async (method, payload) => {
+    if (method === "sendMessage") sent.push(payload.text);
+    return { message_id: sent.length };
+  });
+
+  const dsm = await startFakeDsm({
+    handlers: {
+      "SYNO.DownloadStation.Info.getconfig": () => ({
+        success: true,
+        data: { bt_max_download: 300, bt_max_upload: 50, http_max_download: 300 },
+      }),
+    },
+  });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "jobs-test-"));
+
+  try {
+    const env = {
+      SYNOLOGY_BASE_URL: dsm.url,
+      BOT_STATE_FILE: path.join(dataDir, "state.json"),
+      SPEED_LIMIT_SCHEDULE: "daily 09:00-18:00 2MB 1MB",
+    };
+    await withEnv(env, async () => {
+      const app = await createApp(await loadConfig());
+      const apply = (hour) => app.applySpeedLimitScheduleNow(app.defaultTarget, new Date(2026, 0, 5, hour, 0));
+      const changes = () =>
+        dsm.taskRequests("setserverconfig", "SYNO.DownloadStation.Info").map((request) => {
+          const { bt_max_download, bt_max_upload, http_max_download } = request.params;
+          return { bt_max_download, bt_max_upload, http_max_download };
+        });
+
+      assert.equal(await apply(20), false);
+      assert.deepEqual(changes(), []);
+
+      // The next boundaries change every protocol the NAS reports.
+      assert.equal(await apply(10), true);
+      assert.equal(await apply(19), true);
+      assert.deepEqual(changes(), [
+        { bt_max_download: "2048", bt_max_upload: "1024", http_max_download: "2048" },
+        { bt_max_download: "0", bt_max_upload: "0", http_max_download: "0" },
+      ]);
+      assert.match(sent[0], /^속도 제한 일정 적용 \(모든 프로토콜\)/);
+      assert.equal(sent[1], "속도 제한 일정 종료: 모든 프로토콜의 속도 제한을 해제했습니다.");
+    });
+  } finally {
+    await dsm.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { extractDownloadLinks, fetchTorrentFromUrl, probeLinkKind } = require("../src/links");
+const { buildTorrent } = require("./helpers/torrent");
+
+// Serves `routes` keyed by path: { status, headers, body }. Records the method of every request.
+async function withServer(routes, run) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const route = routes[req.url] || { status: 404, body: "" };
+    res.writeHead(route.status || 200, route.headers || {});
+    res.end(req.method === "HEAD" ? undefined : route.body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("extractDownloadLinks keeps supported schemes and trims trailing punctuation", () => {
+  assert.deepEqual(
+    extractDownloadLinks("get http://a.example/x.torrent, or ftp://b.example/file. mailto:x@y", ["https://c.example/y"]),
+    ["http://a.example/x.torrent", "ftp://b.example/file", "https://c.example/y"],
+  );
+});
+
+test("probeLinkKind tells torrents, web pages and other files apart", async () => {
+  await withServer(
+    {
+      "/typed": { headers: { "Content-Type": "application/x-bittorrent" } },
+      "/attachment": { headers: { "Content-Disposition": 'attachment; filename="Show.S01.torrent"' } },
+      "/page": { headers: { "Content-Type": "text/html; charset=utf-8" } },
+      "/video": { headers: { "Content-Type": "application/octet-stream" } },
+      "/report": { headers: { "Content-Type": "text/html", "Content-Disposition": 'attachment; filename="report.html"' } },
+    },
+    async (base, requests) => {
+      assert.equal(await probeLinkKind(`${base}/file.torrent`), "torrent");
+      assert.equal(await probeLinkKind(`${base}/typed`), "torrent");
+      assert.equal(await probeLinkKind(`${base}/attachment`), "torrent");
+      assert.equal(await probeLinkKind(`${base}/page`), "page");
+      assert.equal(await probeLinkKind(`${base}/video`), "file");
+      // An HTML file served as a download is still a file.
+      assert.equal(await probeLinkKind(`${base}/report`), "file");
+      assert.equal(await probeLinkKind(`${base}/missing`), "file");
+      assert.equal(await probeLinkKind("ftp://files.example/a.iso"), "file");
+      // A .torrent path is trusted without asking the server, and only http(s) links are asked.
+      assert.deepEqual(requests, [
+        "HEAD /typed",
+        "HEAD /attachment",
+        "HEAD /page",
+        "HEAD /video",
+        "HEAD /report",
+        "HEAD /missing",
+      ]);
+    },
+  );
+});
+
+test("fetchTorrentFromUrl downloads the file and names it from the response or URL", async () => {
+  const torrent = buildTorrent({ name: "Show" });
+  await withServer(
+    {
+      "/dl?id=1": {
+        headers: { "Content-Disposition": "attachment; filename*=UTF-8''%EC%87%BC.torrent" },
+        body: torrent,
+      },
+      "/files/Show%20S01": { body: torrent },
+      "/page": { headers: { "Content-Type": "text/html" }, body: "<html></html>" },
+    },
+    async (base) => {
+      const named = await fetchTorrentFromUrl(`${base}/dl?id=1`);
+      assert.equal(named.fileName, "쇼.torrent");
+      assert.deepEqual(named.fileBuffer, torrent);
+
+      assert.equal((await fetchTorrentFromUrl(`${base}/files/Show%20S01`)).fileName, "Show S01.torrent");
+      await assert.rejects(fetchTorrentFromUrl(`${base}/page`), /토렌트 파일 형식이 아닙니다/);
+      await assert.rejects(fetchTorrentFromUrl(`${base}/missing`), /404/);
+    },
+  );
+});
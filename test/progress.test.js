@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Telegram } = require("telegraf");
+const { loadConfig } = require("../src/config");
+const { createApp } = require("../index");
+const { startFakeDsm } = require("./helpers/fake-dsm");
+const { withEnv } = require("./helpers/env");
+
+test("a rate-limited final progress edit is retried on the next tick", async (t) => {
+  const edits = [];
+  let rateLimited = true;
+  t.mock.method(Telegram.prototype, "callApi", async (method, payload) => {
+    if (method !== "editMessageText") return true;
+    if (rateLimited) {
+      rateLimited = false;
+      throw Object.assign(new Error("Too Many Requests: retry after 1"), { parameters: { retry_after: 1 } });
+    }
+    edits.push(payload.text);
+    return true;
+  });
+
+  const dsm = await startFakeDsm({ tasks: [{ id: "dbid_1", title: "Show", status: "finished", size: 100 }] });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "progress-test-"));
+
+  try {
+    await withEnv({ SYNOLOGY_BASE_URL: dsm.url, BOT_STATE_FILE: path.join(dataDir, "state.json") }, async () => {
+      const app = await createApp(await loadConfig());
+      app.watchTaskProgress("42", 7, "dbid_1", "등록 완료: Show", app.defaultTarget);
+
+      await app.runProgressUpdates();
+      assert.deepEqual(edits, []);
+
+      // The task is cleaned up meanwhile; the message still gets the completion it missed.
+      dsm.state.tasks.length = 0;
+      await new Promise((resolve) => setTimeout(resolve, 1050));
+      await app.runProgressUpdates();
+      assert.equal(edits.length, 1);
+      assert.match(edits[0], /^등록 완료: Show\n\n[\s\S]*진행 표시 종료: 다운로드 완료$/);
+
+      await app.runProgressUpdates();
+      assert.equal(edits.length, 1);
+    });
+  } finally {
+    await dsm.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
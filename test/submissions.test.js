@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { loadConfig } = require("../src/config");
+const { extractTorrentMetadata } = require("../src/torrent");
+const { createApp } = require("../index");
+const { startFakeDsm } = require("./helpers/fake-dsm");
+const { buildTorrent } = require("./helpers/torrent");
+const { withEnv } = require("./helpers/env");
+
+const TASK2 = "SYNO.DownloadStation2.Task";
+const BT_FILE = "SYNO.DownloadStation2.Task.BT.File";
+
+const TORRENT = buildTorrent({
+  name: "Show",
+  files: [
+    { path: "Show/e01.mkv", length: 100 },
+    { path: "Show/e02.mkv", length: 200 },
+    { path: "Show/e03.mkv", length: 300 },
+  ],
+});
+
+function torrentPending(selectedFiles) {
+  return {
+    kind: "torrent",
+    fileName: "Show.torrent",
+    fileBuffer: TORRENT,
+    metadata: extractTorrentMetadata(TORRENT),
+    selectedFiles: new Set(selectedFiles),
+  };
+}
+
+async function withApp(dsmOptions, run) {
+  const dsm = await startFakeDsm({ api2: true, ...dsmOptions });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "submissions-test-"));
+  try {
+    await withEnv(
+      {
+        SYNOLOGY_BASE_URL: dsm.url,
+        SYNOLOGY_TORRENT_WATCH_DIR: "",
+        BOT_STATE_FILE: path.join(dataDir, "state.json"),
+      },
+      async () => run(dsm, await createApp(await loadConfig())),
+    );
+  } finally {
+    await dsm.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+// Task API calls by method, in order, for checking the pause -> select -> resume sequence.
+function taskCalls(dsm) {
+  return dsm.state.requests
+    .filter((request) => [TASK2, BT_FILE].includes(request.params.api))
+    .map((request) => `${request.params.api === BT_FILE ? "file." : ""}${request.params.method}`);
+}
+
+test("file selection pauses the created task, skips the unchecked files and resumes it", () =>
+  withApp(
+    {
+      btFile: true,
+      handlers: {
+        [`${TASK2}.create`]: (params, request, state) => {
+          state.tasks.push({ id: "dbid_7", title: "Show", status: "waiting" });
+          return { success: true, data: { list_id: [], task_id: ["dbid_7"] } };
+        },
+        [`${BT_FILE}.list`]: () => ({
+          success: true,
+          data: {
+            items: [
+              { index: 0, name: "Show/e01.mkv", size: 100 },
+              { index: 1, name: "Show/e02.mkv", size: 200 },
+              { index: 2, name: "Show/e03.mkv", size: 300 },
+            ],
+          },
+        }),
+      },
+    },
+    async (dsm, app) => {
+      assert.equal(await app.supportsFileSelection(app.defaultTarget), true);
+
+      const result = await app.submitPendingSubmission(torrentPending([1]), "", "42");
+
+      assert.equal(result.taskId, "dbid_7");
+      assert.match(result.text, /파일 선택 적용: 2개 파일 제외/);
+      assert.deepEqual(taskCalls(dsm).filter((call) => call !== "list"), [
+        "create",
+        "pause",
+        "file.list",
+        "file.set",
+        "resume",
+      ]);
+      const [set] = dsm.state.requests.filter(
+        (request) => request.params.api === BT_FILE && request.params.method === "set",
+      );
+      assert.deepEqual([set.params.task_id, JSON.parse(set.params.index), set.params.wanted], ['"dbid_7"', [0, 2], "false"]);
+    },
+  ));
+
+test("file selection leaves a task alone when it cannot tell it is the submitted one", () =>
+  withApp(
+    {
+      btFile: true,
+      handlers: {
+        // No task ID in the answer, and the only new task is somebody else's download.
+        [`${TASK2}.create`]: (params, request, state) => {
+          state.tasks.push({ id: "dbid_8", title: "another chat's torrent", status: "downloading" });
+          return undefined;
+        },
+      },
+    },
+    async (dsm, app) => {
+      const result = await app.submitPendingSubmission(torrentPending([1]), "", "42");
+
+      assert.match(result.text, /파일 선택 적용 실패 \(전체 파일을 받습니다\)/);
+      assert.deepEqual(taskCalls(dsm).filter((call) => call !== "list"), ["create"]);
+    },
+  ));
+
+test("NAS without the per-file API does not offer file selection", () =>
+  withApp({}, async (dsm, app) => {
+    assert.equal(await app.supportsFileSelection(app.defaultTarget), false);
+  }));
@@ -0,0 +1,499 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { SynologyDownloadStation, isTransientNasError } = require("../src/synology");
+const { startFakeDsm, sequence, failure } = require("./helpers/fake-dsm");
+const { buildTorrent } = require("./helpers/torrent");
+
+async function withDsm(options, run) {
+  const dsm = await startFakeDsm(options);
+  const client = new SynologyDownloadStation({
+    baseUrl: dsm.url,
+    username: "bot",
+    password: "secret",
+    destination: "downloads/bot",
+    watchImportWaitSec: 3,
+    ...options.client,
+  });
+  try {
+    await run(dsm, client);
+  } finally {
+    await dsm.close();
+  }
+}
+
+test("createTaskFromUri retries without destination on code 101", () =>
+  withDsm({ handlers: { "SYNO.DownloadStation.Task.create": sequence(failure(101)) } }, async (dsm, client) => {
+    const result = await client.createTaskFromUri("magnet:?xt=urn:btih:abc");
+
+    assert.deepEqual(result, {
+      method: "api_uri_without_destination",
+      destination: "",
+      destinationFallback: true,
+    });
+    const attempts = dsm.taskRequests("create");
+    assert.equal(attempts.length, 2);
+    assert.equal(attempts[0].params.destination, "downloads/bot");
+    assert.equal(attempts[1].params.destination, undefined);
+    assert.equal(attempts[1].params.uri, "magnet:?xt=urn:btih:abc");
+  }));
+
+test("createTaskFromUri does not retry code 101 when no destination was sent", () =>
+  withDsm(
+    { client: { destination: "" }, handlers: { "SYNO.DownloadStation.Task.create": () => failure(101) } },
+    async (dsm, client) => {
+      await assert.rejects(client.createTaskFromUri("magnet:?xt=urn:btih:abc"), /code: 101/);
+      assert.equal(dsm.taskRequests("create").length, 1);
+    },
+  ));
+
+test("torrent upload walks the query and multipart fallbacks on code 101", () =>
+  withDsm(
+    { handlers: { "SYNO.DownloadStation.Task.create": sequence(failure(101), failure(101), failure(101)) } },
+    async (dsm, client) => {
+      const result = await client.createTaskFromTorrentFile("a.torrent", buildTorrent());
+
+      assert.deepEqual(result, { method: "api_multipart_without_destination" });
+      const attempts = dsm.taskRequests("create").map((request) => [
+        request.query.api ? "query" : "multipart",
+        request.params.destination,
+      ]);
+      assert.deepEqual(attempts, [
+        ["query", "downloads/bot"],
+        ["query", undefined],
+        ["multipart", "downloads/bot"],
+        ["multipart", undefined],
+      ]);
+      const [queryAttempt, , multipartAttempt] = dsm.taskRequests("create");
+      assert.equal(queryAttempt.params.file.filename, "a.torrent");
+      assert.equal(multipartAttempt.params._sid, "sid-1");
+    },
+  ));
+
+test("torrent upload falls back to a parsed magnet when every upload is rejected", () =>
+  withDsm(
+    {
+      handlers: {
+        "SYNO.DownloadStation.Task.create": (params, request) => (request.multipart ? failure(101) : undefined),
+      },
+    },
+    async (dsm, client) => {
+      const result = await client.createTaskFromTorrentFile("a.torrent", buildTorrent({ name: "fallback" }));
+
+      assert.equal(result.method, "magnet_fallback");
+      const magnetAttempt = dsm.taskRequests("create").at(-1);
+      assert.match(magnetAttempt.params.uri, /^magnet:\?xt=urn:btih:[0-9a-f]{40}/);
+      assert.equal(magnetAttempt.params.destination, "downloads/bot");
+    },
+  ));
+
+for (const code of [105, 106, 107, 119]) {
+  test(`session error ${code} logs in again and retries once`, () =>
+    withDsm(
+      {
+        tasks: [{ id: "dbid_1", title: "one" }],
+        handlers: { "SYNO.DownloadStation.Task.list": sequence(failure(code)) },
+      },
+      async (dsm, client) => {
+        const data = await client.listTasks();
+
+        assert.equal(data.tasks.length, 1);
+        assert.equal(dsm.state.logins, 2);
+        const attempts = dsm.taskRequests("list");
+        assert.deepEqual(
+          attempts.map((request) => request.params._sid),
+          ["sid-1", "sid-2"],
+        );
+      },
+    ));
+}
+
+test("a session error that persists after re-login is surfaced", () =>
+  withDsm({ handlers: { "SYNO.DownloadStation.Task.list": () => failure(106) } }, async (dsm, client) => {
+    await assert.rejects(client.listTasks(), (error) => error.isSessionError && /code: 106/.test(error.message));
+    assert.equal(dsm.state.logins, 2);
+    assert.equal(dsm.taskRequests("list").length, 2);
+  }));
+
+test("non-session errors are not retried", () =>
+  withDsm({ handlers: { "SYNO.DownloadStation.Task.list": () => failure(400) } }, async (dsm, client) => {
+    await assert.rejects(client.listTasks(), /code: 400/);
+    assert.equal(dsm.state.logins, 1);
+  }));
+
+test("deleteTasks tries each force flag combination until one succeeds", () =>
+  withDsm(
+    {
+      handlers: {
+        "SYNO.DownloadStation.Task.delete": sequence(failure(101), failure(101), failure(101), failure(101)),
+      },
+    },
+    async (dsm, client) => {
+      await client.deleteTasks(["dbid_1", " dbid_2 ", ""]);
+
+      const attempts = dsm.taskRequests("delete").map(({ params }) => [
+        params.id,
+        params.force_complete ?? "-",
+        params.force_delete ?? "-",
+      ]);
+      assert.deepEqual(attempts, [
+        ["dbid_1,dbid_2", "-", "-"],
+        ["dbid_1,dbid_2", "false", "-"],
+        ["dbid_1,dbid_2", "true", "-"],
+        ["dbid_1,dbid_2", "-", "false"],
+        ["dbid_1,dbid_2", "-", "true"],
+      ]);
+    },
+  ));
+
+test("deleteTasks stops the fallback sequence on a different error", () =>
+  withDsm(
+    { handlers: { "SYNO.DownloadStation.Task.delete": sequence(failure(101), failure(101), failure(544)) } },
+    async (dsm, client) => {
+      await assert.rejects(client.deleteTasks("dbid_1"), /code: 544/);
+      assert.equal(dsm.taskRequests("delete").length, 3);
+    },
+  ));
+
+test("deleteTasks fails after exhausting every fallback", () =>
+  withDsm({ handlers: { "SYNO.DownloadStation.Task.delete": () => failure(101) } }, async (dsm, client) => {
+    await assert.rejects(client.deleteTasks("dbid_1"), /code: 101/);
+    assert.equal(dsm.taskRequests("delete").length, 7);
+  }));
+
+test("deleteTasks with no ids makes no request", () =>
+  withDsm({}, async (dsm, client) => {
+    await client.deleteTasks([" ", ""]);
+    assert.equal(dsm.state.requests.length, 0);
+  }));
+
+async function makeWatchDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "dsm-watch-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("rejected uploads are handed to the watch folder and the import is confirmed", async (t) => {
+  const watchDir = await makeWatchDir(t);
+  const handlers = {
+    "SYNO.DownloadStation.Task.create": () => failure(101),
+    // Download Station picks up .torrent files from the watch folder and shows them as tasks.
+    "SYNO.DownloadStation.Task.list": async (params, request, state) => {
+      const names = (await fs.readdir(watchDir)).filter((name) => name.endsWith(".torrent"));
+      for (const name of names) {
+        if (!state.tasks.some((task) => task.file === name)) {
+          state.tasks.push({ id: "dbid_watched", title: "watched", file: name });
+        }
+      }
+      return undefined;
+    },
+  };
+
+  await withDsm(
+    { tasks: [{ id: "dbid_0", title: "old" }], handlers, client: { torrentWatchDir: watchDir, watchImportStrict: true } },
+    async (dsm, client) => {
+      const result = await client.createTaskFromTorrentFile("show.torrent", buildTorrent({ name: "watched" }));
+
+      assert.equal(result.method, "watch_folder");
+      assert.equal(result.imported.found, true);
+      assert.equal(result.imported.taskId, "dbid_watched");
+      const files = await fs.readdir(watchDir);
+      assert.equal(files.length, 1);
+      assert.match(files[0], /_show\.torrent$/);
+    },
+  );
+});
+
+test("strict watch-folder import fails when no task appears", async (t) => {
+  const watchDir = await makeWatchDir(t);
+  await withDsm(
+    {
+      handlers: { "SYNO.DownloadStation.Task.create": () => failure(101) },
+      client: { destination: "", torrentWatchDir: watchDir, watchImportStrict: true },
+    },
+    async (dsm, client) => {
+      await assert.rejects(client.createTaskFromTorrentFile("slow.torrent", buildTorrent()), /3초 내 작업 생성이 확인되지 않았습니다/);
+      assert.equal((await fs.readdir(watchDir)).length, 1);
+    },
+  );
+});
+
+const HASH = "c12fe1c06bba254a9dc9f519b335aa7c1367a88a";
+const magnetTask = (id, title, hash) => ({
+  id,
+  title,
+  additional: { detail: { uri: `magnet:?xt=urn:btih:${hash}` } },
+});
+
+test("waitForTaskImport picks its own task when other submissions add tasks at the same time", () =>
+  withDsm(
+    {
+      tasks: [
+        { id: "dbid_1", title: "Wanted Title" },
+        magnetTask("dbid_2", "someone else", "a".repeat(40)),
+        { id: "dbid_3", title: "Wanted Title" },
+        magnetTask("dbid_4", "ours", HASH),
+      ],
+    },
+    async (dsm, client) => {
+      const before = new Set(["dbid_1"]);
+      assert.deepEqual(
+        await client.waitForTaskImport({ beforeTaskIds: before, expectedTitles: ["wanted title"], timeoutSec: 3 }),
+        { found: true, reason: "title_match", taskId: "dbid_3", title: "Wanted Title" },
+      );
+      assert.deepEqual(
+        await client.waitForTaskImport({ beforeTaskIds: before, expectedTitles: ["ours?"], infoHash: HASH, timeoutSec: 3 }),
+        { found: true, reason: "hash_match", taskId: "dbid_4", title: "ours" },
+      );
+    },
+  ));
+
+test("waitForTaskImport takes an unidentified new task only when it is the only one", () =>
+  withDsm(
+    { tasks: [{ id: "dbid_1", title: "old" }, magnetTask("dbid_2", "other", "a".repeat(40))] },
+    async (dsm, client) => {
+      const before = new Set(["dbid_1"]);
+      assert.deepEqual(await client.waitForTaskImport({ beforeTaskIds: before, timeoutSec: 3 }), {
+        found: true,
+        reason: "new_id",
+        taskId: "dbid_2",
+        title: "other",
+      });
+      // The single new task belongs to a different magnet, and with a second one neither is taken.
+      assert.deepEqual(await client.waitForTaskImport({ beforeTaskIds: before, infoHash: HASH, timeoutSec: 3 }), {
+        found: false,
+      });
+      dsm.state.tasks.push({ id: "dbid_3", title: "unknown" });
+      assert.deepEqual(await client.waitForTaskImport({ beforeTaskIds: before, timeoutSec: 3 }), { found: false });
+    },
+  ));
+
+test("isTransientNasError only retries network failures and 5xx responses", () => {
+  assert.equal(isTransientNasError(Object.assign(new Error("x"), { code: "ECONNREFUSED" })), true);
+  assert.equal(isTransientNasError({ response: { status: 502 } }), true);
+  assert.equal(isTransientNasError({ response: { status: 404 } }), false);
+  assert.equal(isTransientNasError(new Error("마그넷 등록 실패 (code: 101)")), false);
+});
+
+const TASK2 = "SYNO.DownloadStation2.Task";
+
+test("DownloadStation2 is preferred for links when DSM advertises it", () =>
+  withDsm({ api2: true }, async (dsm, client) => {
+    const result = await client.createTaskFromUri("magnet:?xt=urn:btih:abc");
+
+    assert.deepEqual(result, { method: "api2_uri", destination: "downloads/bot", destinationFallback: false });
+    assert.equal(dsm.taskRequests("create").length, 0);
+    const [request] = dsm.taskRequests("create", TASK2);
+    assert.equal(request.path, "/webapi/entry.cgi");
+    assert.equal(request.params.type, '"url"');
+    assert.deepEqual(JSON.parse(request.params.url), ["magnet:?xt=urn:btih:abc"]);
+    assert.equal(request.params.destination, '"downloads/bot"');
+    assert.equal(request.params.create_list, "false");
+    assert.deepEqual(await client.apiGeneration(), { generation: 2, api: TASK2, version: 2 });
+  }));
+
+test("DownloadStation2 create reports the created task ID", () =>
+  withDsm(
+    { api2: true, handlers: { [`${TASK2}.create`]: () => ({ success: true, data: { list_id: [], task_id: ["dbid_9"] } }) } },
+    async (dsm, client) => {
+      const imported = { found: true, reason: "create_response", taskId: "dbid_9", title: "" };
+      assert.deepEqual((await client.createTaskFromUri("magnet:?xt=urn:btih:abc")).imported, imported);
+      assert.deepEqual((await client.createTaskFromTorrentFile("a.torrent", buildTorrent())).imported, imported);
+    },
+  ));
+
+test("DownloadStation2 uploads the torrent as a named file field", () =>
+  withDsm({ api2: true }, async (dsm, client) => {
+    const result = await client.createTaskFromTorrentFile("a.torrent", buildTorrent());
+
+    assert.deepEqual(result, { method: "api2_file" });
+    const [request] = dsm.taskRequests("create", TASK2);
+    assert.equal(request.multipart, true);
+    assert.equal(request.params.type, '"file"');
+    assert.equal(request.params.file, '["torrent"]');
+    assert.equal(request.params.torrent.filename, "a.torrent");
+    assert.equal(request.params.destination, '"downloads/bot"');
+    assert.equal(dsm.taskRequests("create").length, 0);
+  }));
+
+test("a rejected DownloadStation2 upload falls back to the legacy API", () =>
+  withDsm(
+    { api2: true, handlers: { [`${TASK2}.create`]: () => failure(403) } },
+    async (dsm, client) => {
+      const result = await client.createTaskFromTorrentFile("a.torrent", buildTorrent());
+
+      assert.deepEqual(result, { method: "api_query_file" });
+      assert.equal(dsm.taskRequests("create", TASK2).length, 1);
+      assert.equal(dsm.taskRequests("create").length, 1);
+    },
+  ));
+
+test("a DownloadStation2 session error logs in again instead of falling back", () =>
+  withDsm(
+    { api2: true, handlers: { [`${TASK2}.create`]: sequence(failure(119)) } },
+    async (dsm, client) => {
+      const result = await client.createTaskFromUri("magnet:?xt=urn:btih:abc", { destination: "" });
+
+      assert.equal(result.method, "api2_uri");
+      assert.equal(dsm.state.logins, 2);
+      assert.equal(dsm.taskRequests("create").length, 0);
+    },
+  ));
+
+test("DownloadStation2 task lists are normalized to legacy status names", () =>
+  withDsm(
+    {
+      api2: true,
+      tasks: [
+        { id: "dbid_1", title: "a", status: 2 },
+        { id: "dbid_2", title: "b", status: 8 },
+        { id: "dbid_3", title: "c", status: 113 },
+        { id: "dbid_4", title: "d", status: 5 },
+      ],
+    },
+    async (dsm, client) => {
+      const { tasks, total } = await client.listTasks();
+
+      assert.equal(total, 4);
+      assert.deepEqual(
+        tasks.map((task) => task.status),
+        ["downloading", "seeding", "error", "finished"],
+      );
+      assert.equal(tasks[2].status_extra.error_detail, "code 113");
+      const [request] = dsm.taskRequests("list", TASK2);
+      assert.deepEqual(JSON.parse(request.params.additional), ["detail", "transfer", "tracker"]);
+    },
+  ));
+
+test("DownloadStation2 pause, resume and delete send JSON id lists", () =>
+  withDsm({ api2: true }, async (dsm, client) => {
+    await client.pauseTasks(["dbid_1", "dbid_2"]);
+    await client.resumeTasks("dbid_1");
+    await client.deleteTasks(["dbid_2"]);
+
+    assert.deepEqual(JSON.parse(dsm.taskRequests("pause", TASK2)[0].params.id), ["dbid_1", "dbid_2"]);
+    assert.deepEqual(JSON.parse(dsm.taskRequests("resume", TASK2)[0].params.id), ["dbid_1"]);
+    const [deleteRequest] = dsm.taskRequests("delete", TASK2);
+    assert.deepEqual(JSON.parse(deleteRequest.params.id), ["dbid_2"]);
+    assert.equal(deleteRequest.params.force_complete, "false");
+    assert.equal(dsm.taskRequests("delete").length, 0);
+  }));
+
+test("older DSM without DownloadStation2 reports the legacy API", () =>
+  withDsm({}, async (dsm, client) => {
+    assert.deepEqual(await client.apiGeneration(), { generation: 1, api: "SYNO.DownloadStation.Task", version: 3 });
+  }));
+
+// DSM login for an account with 2-step verification: the code is 123456 and the trusted device is did-1.
+function otpLogin(params) {
+  if (params.device_id === "did-1") return { success: true, data: { sid: "sid-device" } };
+  if (!params.otp_code) return failure(403);
+  if (params.otp_code !== "123456") return failure(404);
+  return { success: true, data: { sid: "sid-otp", did: "did-1" } };
+}
+
+test("OTP login asks for a code and stores the trusted-device token", () => {
+  const prompts = [];
+  const tokens = [];
+  return withDsm(
+    {
+      handlers: { "SYNO.API.Auth.login": otpLogin },
+      client: {
+        requestOtp: async (info) => {
+          prompts.push(info);
+          return "123456";
+        },
+        onDeviceToken: async (deviceId) => tokens.push(deviceId),
+      },
+    },
+    async (dsm, client) => {
+      assert.equal(await client.login(), "sid-otp");
+
+      assert.deepEqual(prompts, [{ invalid: false }]);
+      assert.deepEqual(tokens, ["did-1"]);
+      assert.equal(client.deviceId, "did-1");
+      const otpRequest = dsm.state.requests.filter((request) => request.params.method === "login").at(-1);
+      assert.equal(otpRequest.params.enable_device_token, "yes");
+      assert.equal(otpRequest.params.device_name, "synology-auto-bot");
+
+      assert.equal(await client.login(true), "sid-device");
+      assert.equal(prompts.length, 1);
+    },
+  );
+});
+
+test("a wrong OTP code is asked for again", () => {
+  const prompts = [];
+  const codes = ["000000", "123456"];
+  return withDsm(
+    {
+      handlers: { "SYNO.API.Auth.login": otpLogin },
+      client: {
+        requestOtp: async (info) => {
+          prompts.push(info);
+          return codes.shift();
+        },
+      },
+    },
+    async (dsm, client) => {
+      assert.equal(await client.login(), "sid-otp");
+      assert.deepEqual(prompts, [{ invalid: false }, { invalid: true }]);
+    },
+  );
+});
+
+test("a saved device token logs in without asking for a code", () =>
+  withDsm(
+    {
+      handlers: { "SYNO.API.Auth.login": otpLogin },
+      client: {
+        deviceId: "did-1",
+        requestOtp: () => assert.fail("OTP should not be requested"),
+      },
+    },
+    async (dsm, client) => {
+      assert.equal(await client.login(), "sid-device");
+    },
+  ));
+
+test("OTP login fails clearly when nobody can be asked for a code", () =>
+  withDsm({ handlers: { "SYNO.API.Auth.login": otpLogin } }, async (dsm, client) => {
+    await assert.rejects(client.login(), /2단계 인증 로그인 실패 \(code: 403\)/);
+  }));
+
+test("concurrent requests share one login and one OTP prompt", () => {
+  let prompts = 0;
+  return withDsm(
+    {
+      handlers: { "SYNO.API.Auth.login": otpLogin },
+      client: {
+        requestOtp: async () => {
+          prompts += 1;
+          await new Promise((resolve) => setTimeout(resolve, 50));
+          return "123456";
+        },
+      },
+    },
+    async (dsm, client) => {
+      await Promise.all([client.listTasks(), client.listTasks(), client.pauseTasks("dbid_1")]);
+      assert.equal(prompts, 1);
+    },
+  );
+});
+
+test("logout ends the DSM session", () =>
+  withDsm({}, async (dsm, client) => {
+    await client.login();
+    await client.logout();
+
+    const request = dsm.state.requests.at(-1);
+    assert.equal(request.params.method, "logout");
+    assert.equal(request.params._sid, "sid-1");
+    assert.equal(request.params.session, "DownloadStation");
+    assert.equal(client.sid, null);
+
+    await client.logout();
+    assert.equal(dsm.state.requests.at(-1), request);
+  }));
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { loadConfig } = require("../src/config");
+const { createApp } = require("../index");
+const { startFakeDsm } = require("./helpers/fake-dsm");
+const { withEnv } = require("./helpers/env");
+
+test("plain SYNOLOGY_* variables describe a single target", () =>
+  withEnv({ SYNOLOGY_BASE_URL: "https://nas:5001", SYNOLOGY_DOWNLOAD_DIR: "video" }, async () => {
+    const { synologyTargets } = await loadConfig();
+
+    assert.equal(synologyTargets.length, 1);
+    assert.deepEqual(
+      { ...synologyTargets[0], password: undefined },
+      {
+        name: "nas",
+        label: "nas",
+        baseUrl: "https://nas:5001",
+        username: "bot",
+        password: undefined,
+        destination: "video",
+        torrentWatchDir: "/watch",
+        watchImportWaitSec: 20,
+        watchImportStrict: true,
+        allowSelfSigned: false,
+        deviceName: "synology-auto-bot",
+        debug: false,
+      },
+    );
+  }));
+
+test("SYNOLOGY_TARGETS reads per-target variables over the shared ones", () =>
+  withEnv(
+    {
+      SYNOLOGY_TARGETS: "Home, office",
+      SYNOLOGY_BASE_URL: "https://home:5001",
+      SYNOLOGY_DOWNLOAD_DIR: "video",
+      SYNOLOGY_HOME_LABEL: "집",
+      SYNOLOGY_OFFICE_BASE_URL: "https://office:5001",
+      SYNOLOGY_OFFICE_PASSWORD: "office-secret",
+      SYNOLOGY_OFFICE_ALLOW_SELF_SIGNED: "true",
+    },
+    async () => {
+      const [home, office] = (await loadConfig()).synologyTargets;
+
+      assert.deepEqual(
+        [home.name, home.label, home.baseUrl, home.destination, home.torrentWatchDir, home.password],
+        ["home", "집", "https://home:5001", "video", "/watch", "secret"],
+      );
+      // Folders belong to one box, so only the first target inherits them.
+      assert.deepEqual(
+        [office.name, office.label, office.baseUrl, office.destination, office.torrentWatchDir],
+        ["office", "office", "https://office:5001", "", ""],
+      );
+      assert.equal(office.username, "bot");
+      assert.equal(office.password, "office-secret");
+      assert.equal(office.allowSelfSigned, true);
+    },
+  ));
+
+test("SYNOLOGY_TARGETS rejects unusable and repeated names", async () => {
+  for (const [targets, pattern] of [
+    ["home,all", /'all'/],
+    ["home,my-nas", /'my-nas'/],
+    ["home,HOME", /두 번/],
+  ]) {
+    await withEnv(
+      { SYNOLOGY_TARGETS: targets, SYNOLOGY_BASE_URL: "https://a" },
+      () => assert.rejects(loadConfig(), pattern),
+    );
+  }
+  await withEnv({ SYNOLOGY_TARGETS: "home,office", SYNOLOGY_BASE_URL: "https://a" }, () =>
+    assert.rejects(loadConfig(), /SYNOLOGY_OFFICE_BASE_URL/),
+  );
+});
+
+test("submissions go to the chosen NAS and task IDs are tracked per NAS", async () => {
+  // Each NAS numbers its own tasks, so both hand out dbid_1 for their first download.
+  const createTask = (params, request, state) => {
+    const title = new URLSearchParams(String(params.uri).split("?")[1]).get("dn");
+    state.tasks.push({ id: `dbid_${state.tasks.length + 1}`, title, status: "waiting" });
+    return undefined;
+  };
+  const home = await startFakeDsm({ handlers: { "SYNO.DownloadStation.Task.create": createTask } });
+  const office = await startFakeDsm({ handlers: { "SYNO.DownloadStation.Task.create": createTask } });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "targets-test-"));
+  try {
+    await withEnv(
+      {
+        SYNOLOGY_TARGETS: "home,office",
+        SYNOLOGY_HOME_BASE_URL: home.url,
+        SYNOLOGY_OFFICE_BASE_URL: office.url,
+        SYNOLOGY_OFFICE_DOWNLOAD_DIR: "office/video",
+        SYNOLOGY_TORRENT_WATCH_DIR: "",
+        BOT_STATE_FILE: path.join(dataDir, "state.json"),
+        PROGRESS_UPDATES: "false",
+      },
+      async () => {
+        const app = await createApp(await loadConfig());
+        const magnet = (hash) => ({
+          kind: "magnet",
+          uri: `magnet:?xt=urn:btih:${hash}&dn=${hash}`,
+          metadata: { infoHash: hash, displayName: hash },
+        });
+
+        app.setChatTarget("42", app.findTarget("office"));
+        const byChat = await app.submitPendingSubmission(magnet("a".repeat(40)), "", "42");
+        const explicit = await app.submitPendingSubmission({ ...magnet("b".repeat(40)), target: "home" }, "", "42");
+
+        assert.equal(byChat.target.name, "office");
+        assert.match(byChat.text, /NAS: office, 저장 위치: office\/video/);
+        assert.equal(explicit.target.name, "home");
+        assert.deepEqual(
+          office.taskRequests("create").map((request) => request.params.destination),
+          ["office/video"],
+        );
+        assert.equal(home.taskRequests("create").length, 1);
+
+        const [officeRecord, homeRecord] = app.stateStore.data.submissions;
+        assert.deepEqual(
+          [officeRecord.target, officeRecord.taskId, homeRecord.target, homeRecord.taskId],
+          ["office", "dbid_1", "home", "dbid_1"],
+        );
+        assert.equal(app.stateStore.findSubmissionByTaskId("dbid_1", "home"), homeRecord);
+        assert.equal(app.stateStore.findSubmissionByTaskId("dbid_1", "office"), officeRecord);
+
+        await app.stateStore.save();
+      },
+    );
+  } finally {
+    await home.close();
+    await office.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
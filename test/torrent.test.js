@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  parseBencodeStringBounds,
+  skipBencodeValue,
+  findTorrentInfoSection,
+  decodeBencodeValue,
+} = require("../src/bencode");
+const {
+  base32ToHex,
+  buildMagnetFromTorrentBuffer,
+  extractTorrentMetadata,
+  parseMagnetUri,
+  resolveSkippedTaskFiles,
+} = require("../src/torrent");
+const { bencode, buildTorrent } = require("./helpers/torrent");
+
+test("parseBencodeStringBounds returns the value range and rejects bad lengths", () => {
+  const buffer = Buffer.from("4:spam");
+  assert.deepEqual(parseBencodeStringBounds(buffer, 0), { valueStart: 2, valueEnd: 6, next: 6 });
+  assert.throws(() => parseBencodeStringBounds(Buffer.from("x:spam"), 0));
+  assert.throws(() => parseBencodeStringBounds(Buffer.from("9:spam"), 0));
+});
+
+test("skipBencodeValue walks nested values", () => {
+  const buffer = Buffer.from("d3:keyli1ei-2ee4:spam4:eggse!");
+  assert.equal(skipBencodeValue(buffer, 0), buffer.length - 1);
+  assert.throws(() => skipBencodeValue(Buffer.from("i12"), 0));
+});
+
+test("decodeBencodeValue decodes integers, lists, dictionaries and byte strings", () => {
+  const { value, next } = decodeBencodeValue(bencode({ n: 42, list: [1, "a"], s: "한글" }), 0);
+  assert.equal(value.n, 42);
+  assert.equal(value.list[0], 1);
+  assert.equal(value.list[1].toString(), "a");
+  assert.equal(value.s.toString("utf8"), "한글");
+  assert.ok(next > 0);
+});
+
+test("findTorrentInfoSection returns the raw info dictionary", () => {
+  const info = { length: 10, name: "a" };
+  const torrent = bencode({ announce: "x", info });
+  assert.deepEqual(findTorrentInfoSection(torrent), bencode(info));
+  assert.throws(() => findTorrentInfoSection(Buffer.from("le")));
+});
+
+test("extractTorrentMetadata reads name, hash, trackers and files", () => {
+  const torrent = buildTorrent({
+    name: "Show",
+    files: [
+      { path: "Show/e01.mkv", length: 100 },
+      { path: ".pad/0", length: 5 },
+      { path: "Show/e02.mkv", length: 200 },
+    ],
+  });
+  const meta = extractTorrentMetadata(torrent);
+  const expectedHash = crypto.createHash("sha1").update(findTorrentInfoSection(torrent)).digest("hex");
+
+  assert.equal(meta.displayName, "Show");
+  assert.equal(meta.infoHash, expectedHash);
+  assert.deepEqual(meta.trackers, ["http://tracker.example/announce"]);
+  assert.deepEqual(
+    meta.files.map((file) => [file.index, file.path, file.length]),
+    [
+      [0, "Show/e01.mkv", 100],
+      [1, "Show/e02.mkv", 200],
+    ],
+  );
+  assert.equal(meta.totalSize, 300);
+});
+
+test("buildMagnetFromTorrentBuffer produces a magnet with the same info hash", async () => {
+  const torrent = buildTorrent({ name: "single" });
+  const magnet = await buildMagnetFromTorrentBuffer(torrent);
+  assert.equal(parseMagnetUri(magnet).infoHash, extractTorrentMetadata(torrent).infoHash);
+  assert.equal(await buildMagnetFromTorrentBuffer(Buffer.from("not a torrent")), null);
+});
+
+test("parseMagnetUri accepts hex and base32 hashes", () => {
+  const hex = "c12fe1c06bba254a9dc9f519b335aa7c1367a88a";
+  const parsed = parseMagnetUri(`magnet:?xt=urn:btih:${hex.toUpperCase()}&dn=Name&tr=udp%3A%2F%2Ft&tr=udp%3A%2F%2Ft&xl=99`);
+  assert.deepEqual(parsed, { infoHash: hex, displayName: "Name", trackers: ["udp://t"], totalSize: 99 });
+
+  assert.equal(base32ToHex("YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK"), hex);
+  assert.equal(parseMagnetUri("magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK").infoHash, hex);
+});
+
+test("resolveSkippedTaskFiles matches by name and only falls back to positions with equal sizes", () => {
+  const torrentFiles = [
+    { index: 0, path: "Show/e01.mkv", length: 100 },
+    { index: 1, path: "Show/e02.mkv", length: 200 },
+    { index: 2, path: "Show/e03.mkv", length: 300 },
+  ];
+  const renamed = [
+    { index: 0, name: "a", size: 100 },
+    { index: 1, name: "b", size: 200 },
+    { index: 2, name: "c", size: 300 },
+  ];
+  assert.deepEqual(resolveSkippedTaskFiles(renamed, torrentFiles, new Set([1])), { skipIndexes: [0, 2], unmatched: 0 });
+
+  // Same file count but different sizes: another torrent, so nothing is matched by position.
+  const other = renamed.map((file) => ({ ...file, size: file.size + 1 }));
+  assert.deepEqual(resolveSkippedTaskFiles(other, torrentFiles, new Set([1])), { skipIndexes: [], unmatched: 2 });
+
+  const named = [{ index: 5, name: "dl/Show/e03.mkv", size: 0 }];
+  assert.deepEqual(resolveSkippedTaskFiles(named, torrentFiles, new Set([0, 1])), { skipIndexes: [5], unmatched: 0 });
+});
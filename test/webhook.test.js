@@ -0,0 +1,199 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Telegram } = require("telegraf");
+const { loadConfig } = require("../src/config");
+const { createApp } = require("../index");
+const { startFakeDsm, failure } = require("./helpers/fake-dsm");
+const { withEnv } = require("./helpers/env");
+
+const SECRET = "test-secret_123";
+
+// Answers Bot API calls locally and records them. `getUpdates` hands out `updateBatches` one batch
+// per call, like long polling does, and otherwise waits until a batch is queued or polling stops.
+function stubTelegram(t, updateBatches = []) {
+  const calls = [];
+  t.mock.method(Telegram.prototype, "callApi", async (method, payload, { signal } = {}) => {
+    if (method === "getUpdates") {
+      while (updateBatches.length === 0) {
+        // The offset sync after polling stops has no signal and must not wait.
+        if (!signal || signal.aborted) return [];
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      return updateBatches.shift();
+    }
+    calls.push({ method, payload });
+    if (method === "getMe") return { id: 123, is_bot: true, first_name: "bot", username: "test_bot" };
+    if (method === "sendMessage") return { message_id: calls.length, chat: { id: payload.chat_id }, text: payload.text };
+    return true;
+  });
+  return calls;
+}
+
+function textUpdate(updateId, text) {
+  const command = /^\/\w+/.exec(text);
+  return {
+    update_id: updateId,
+    message: {
+      message_id: updateId,
+      date: 0,
+      chat: { id: 1, type: "private" },
+      from: { id: 1, is_bot: false, first_name: "admin" },
+      text,
+      ...(command && { entities: [{ type: "bot_command", offset: 0, length: command[0].length }] }),
+    },
+  };
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("timed out waiting for the bot");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("WEBHOOK_* settings pick the listening path and secret token", async () => {
+  await withEnv({ SYNOLOGY_BASE_URL: "https://nas:5001" }, async () => {
+    const config = await loadConfig();
+    assert.equal(config.webhookUrl, "");
+    assert.equal(config.httpServerEnabled, false);
+  });
+
+  await withEnv({ SYNOLOGY_BASE_URL: "https://nas:5001", WEBHOOK_URL: "https://bot.example.com/tg/hook" }, async () => {
+    const config = await loadConfig();
+    assert.equal(config.httpServerEnabled, true);
+    assert.equal(config.httpPort, 8080);
+    assert.equal(config.webhookPath, "/tg/hook");
+    // A random token is generated when none is configured.
+    assert.match(config.webhookSecretToken, /^[0-9a-f]{64}$/);
+  });
+
+  await withEnv(
+    {
+      SYNOLOGY_BASE_URL: "https://nas:5001",
+      WEBHOOK_URL: "https://bot.example.com/tg/hook",
+      WEBHOOK_PATH: "/hook",
+      WEBHOOK_SECRET_TOKEN: SECRET,
+    },
+    async () => {
+      const config = await loadConfig();
+      assert.deepEqual([config.webhookPath, config.webhookSecretToken], ["/hook", SECRET]);
+    },
+  );
+
+  for (const [values, pattern] of [
+    [{ WEBHOOK_URL: "http://bot.example.com/tg" }, /https/],
+    [{ WEBHOOK_URL: "https://bot.example.com/tg", WEBHOOK_SECRET_TOKEN: "not allowed!" }, /WEBHOOK_SECRET_TOKEN/],
+    [{ HTTP_PORT: "http" }, /HTTP_PORT/],
+  ]) {
+    await withEnv({ SYNOLOGY_BASE_URL: "https://nas:5001", ...values }, () => assert.rejects(loadConfig(), pattern));
+  }
+});
+
+test("webhook endpoint handles posted updates only with the secret token", async (t) => {
+  const calls = stubTelegram(t);
+
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "webhook-test-"));
+  try {
+    await withEnv(
+      {
+        SYNOLOGY_BASE_URL: "https://nas:5001",
+        BOT_STATE_FILE: path.join(dataDir, "state.json"),
+        WEBHOOK_URL: "https://bot.example.com/tg",
+        WEBHOOK_SECRET_TOKEN: SECRET,
+        HTTP_HOST: "127.0.0.1",
+        HTTP_PORT: "0",
+      },
+      async () => {
+        const app = await createApp(await loadConfig());
+        const { port } = await app.startHttpServer();
+        const base = `http://127.0.0.1:${port}`;
+        const postUpdate = (body, secret = SECRET) =>
+          fetch(`${base}/tg`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "X-Telegram-Bot-Api-Secret-Token": secret },
+            body: typeof body === "string" ? body : JSON.stringify(body),
+          });
+        const idUpdate = (updateId) => textUpdate(updateId, "/id");
+
+        try {
+          await app.startTelegramUpdates();
+          assert.deepEqual(calls.shift(), {
+            method: "setWebhook",
+            payload: { url: "https://bot.example.com/tg", secret_token: SECRET },
+          });
+
+          assert.equal((await postUpdate(idUpdate(1), "wrong")).status, 403);
+          assert.equal((await postUpdate(idUpdate(2), "")).status, 403);
+          assert.equal((await postUpdate("{not json")).status, 400);
+          assert.equal((await postUpdate(idUpdate(3))).status, 200);
+
+          await app.stopTelegramUpdates("test");
+          const replies = calls.filter((call) => call.method === "sendMessage");
+          assert.equal(replies.length, 1);
+          assert.equal(replies[0].payload.chat_id, 1);
+          assert.match(replies[0].payload.text, /chat_id: 1/);
+
+          // Other endpoints share the same server.
+          const health = await fetch(`${base}/healthz`);
+          assert.deepEqual([health.status, await health.text()], [200, "ok"]);
+          assert.equal((await fetch(`${base}/tg`)).status, 405);
+          assert.equal((await fetch(`${base}/missing`)).status, 404);
+        } finally {
+          await app.stopHttpServer();
+        }
+      },
+    );
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test("polling keeps fetching updates while a command waits for the NAS 2-step code", async (t) => {
+  const batches = [];
+  const calls = stubTelegram(t, batches);
+  const dsm = await startFakeDsm({
+    handlers: {
+      "SYNO.API.Auth.login": (params) =>
+        params.otp_code === "123456" ? { success: true, data: { sid: "sid-otp" } } : failure(403),
+    },
+  });
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "webhook-test-"));
+  const sentTexts = () => calls.filter((call) => call.method === "sendMessage").map((call) => call.payload.text);
+
+  try {
+    const env = {
+      SYNOLOGY_BASE_URL: dsm.url,
+      SYNOLOGY_OTP_TIMEOUT_SEC: "30",
+      BOT_STATE_FILE: path.join(dataDir, "state.json"),
+    };
+    await withEnv(env, async () => {
+      const app = await createApp(await loadConfig());
+      await app.startTelegramUpdates();
+      try {
+        // Startup login, as in main(): DSM wants a code, so admins are asked for it.
+        const login = app.defaultTarget.synology.login();
+        await waitFor(() => sentTexts().some((text) => text.includes("2단계 인증 코드가 필요합니다")));
+
+        // A command that needs the NAS arrives while the prompt is open and waits for the login ...
+        batches.push([textUpdate(1, "/stat")]);
+        await waitFor(() => batches.length === 0);
+        // ... which must not keep the admin's code in the next batch from being fetched.
+        batches.push([textUpdate(2, "123456")]);
+
+        await waitFor(() => sentTexts().some((text) => text.includes("2단계 인증 코드를 받았습니다")));
+        assert.equal(await login, "sid-otp");
+        await waitFor(() => sentTexts().length === 3);
+        assert.doesNotMatch(sentTexts()[2], /2단계/);
+      } finally {
+        await app.stopTelegramUpdates("test");
+      }
+    });
+  } finally {
+    await dsm.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});